@@ -0,0 +1,376 @@
+// English
+// SCL-90 item wording follows Derogatis' original English checklist; PHQ-9 / GAD-7 use the published
+// public-domain wording; SDS / SAS follow Zung's original items
+export const en = {
+  factors: {
+    somatization: {
+      name: 'Somatization',
+      description: 'Distress arising from perceptions of bodily dysfunction, including cardiovascular, gastrointestinal and respiratory complaints.',
+      highScore: 'You may have frequent physical complaints such as headaches, stomach aches or chest tightness, which can be related to psychological stress.',
+      suggestions: ['Try relaxation training such as deep breathing or meditation', 'Exercise regularly', 'If symptoms persist, have a medical check-up to rule out physical illness']
+    },
+    obsessiveCompulsive: {
+      name: 'Obsessive-Compulsive',
+      description: 'Thoughts, impulses and actions that are experienced as unwanted and senseless but cannot be resisted.',
+      highScore: 'You may experience obsessive thoughts or behaviours, such as repeatedly checking things or dwelling on certain questions.',
+      suggestions: ['Recognise and accept your compulsive tendencies', 'Practise delaying compulsive behaviours', 'Reduce compulsions by shifting your attention', 'If severe, consider professional cognitive behavioural therapy']
+    },
+    interpersonalSensitivity: {
+      name: 'Interpersonal Sensitivity',
+      description: 'Feelings of personal inadequacy and inferiority, especially in comparison with others.',
+      highScore: 'You may lack confidence with other people, care too much about how others judge you and feel tense in social situations.',
+      suggestions: ['Build self-acceptance and self-affirmation', 'Learn effective communication skills', 'Practise social contact in small, familiar settings first', 'Remember that other people feel nervous too']
+    },
+    depression: {
+      name: 'Depression',
+      description: 'Symptoms of low mood, hopelessness and loss of interest in life.',
+      highScore: 'You may have depressive symptoms such as low mood, loss of interest and hopelessness, which deserve particular attention.',
+      suggestions: ['Keep a regular routine and exercise', 'Try doing things you used to enjoy', 'Talk to someone you trust', 'If symptoms last more than two weeks, professional help is strongly recommended']
+    },
+    anxiety: {
+      name: 'Anxiety',
+      description: 'Nervousness, restlessness and tension, together with the physical signs that accompany them.',
+      highScore: 'You may have marked anxiety symptoms such as tension, palpitations and worry.',
+      suggestions: ['Learn relaxation techniques such as progressive muscle relaxation', 'Practise mindfulness meditation', 'Identify and challenge anxious thoughts', 'Avoid too much caffeine']
+    },
+    hostility: {
+      name: 'Hostility',
+      description: 'Thoughts, feelings and actions characteristic of anger and hostility.',
+      highScore: 'You may be prone to hostile feelings, showing up as irritability, temper outbursts or even aggression.',
+      suggestions: ['Learn to recognise the early signs of anger', 'Find healthy ways to express your feelings', 'Release tension through exercise', 'Practise calming techniques such as deep breathing']
+    },
+    phobicAnxiety: {
+      name: 'Phobic Anxiety',
+      description: 'Persistent fear and avoidance of specific places, objects or social situations.',
+      highScore: 'You may have marked fear and avoidance of certain situations or objects.',
+      suggestions: ['Gradually expose yourself to feared situations (systematic desensitisation)', 'Learn relaxation techniques to cope with fear', 'Write down and examine your fearful thoughts', 'If severe, consider professional treatment']
+    },
+    paranoidIdeation: {
+      name: 'Paranoid Ideation',
+      description: 'Projective thinking, hostility, suspiciousness, delusions, feelings of being controlled and grandiosity.',
+      highScore: 'You may tend to be suspicious, distrust others or feel singled out.',
+      suggestions: ['Check whether there is evidence for your suspicions', 'Try to see things from other people\'s point of view', 'Build a basic level of trust in others', 'Discuss your thoughts with a trusted friend']
+    },
+    psychoticism: {
+      name: 'Psychoticism',
+      description: 'A broad range of symptoms, from withdrawal and isolation to unusual thoughts and perceptions.',
+      highScore: 'You may have some unusual thought experiences or perceptions that call for professional assessment.',
+      suggestions: ['Keep a regular routine', 'Avoid alcohol and recreational drugs', 'Reduce stress', 'Seek help from a psychiatrist']
+    },
+    additional: {
+      name: 'Additional Items',
+      description: 'Additional items mainly covering sleep and eating, such as trouble falling asleep, waking early and appetite changes.',
+      highScore: 'You may have noticeable sleep or eating problems, which often interact with your emotional state.',
+      suggestions: ['Keep regular sleeping hours and use screens less before bed', 'Avoid caffeine and alcohol before bed', 'Eat regular, moderate meals', 'If sleep problems last more than two weeks, see a doctor']
+    }
+  },
+
+  defaultFactor: {
+    description: 'One of the dimensions of the mental health assessment.',
+    highScore: 'Your score on this dimension is elevated and worth paying attention to.',
+    suggestions: ['Keep healthy daily habits', 'Look after yourself and manage stress', 'Seek professional help if needed']
+  },
+
+  normGroups: {
+    adult: 'Chinese adult norms'
+  },
+
+  tScoreLevels: ['Normal', 'Mild', 'Moderate', 'Severe'],
+
+  unnormedLevels: ['Normal', 'Elevated'],
+
+  riskLevels: [
+    {
+      level: 'None',
+      description: 'Your mental state is good',
+      advice: 'Your mental state is generally good. Keep up a healthy lifestyle, take care of yourself and keep an eye on your mental health.'
+    },
+    {
+      level: 'Mild',
+      description: 'You have some mild psychological distress',
+      advice: 'Your mental state is generally fine, but some areas need attention. Look after yourself, keep good sleeping habits and make time for exercise and relaxation. If the distress continues, consider seeking professional help.'
+    },
+    {
+      level: 'Moderate',
+      description: 'You have a noticeable level of psychological distress',
+      advice: 'Your mental state needs attention. We recommend talking to a professional counsellor to learn how to better manage how you feel.'
+    },
+    {
+      level: 'Severe',
+      description: 'Your psychological distress is severe',
+      advice: 'Please seek help from a mental health professional as soon as possible for counselling or treatment. Your mental state needs professional attention and support.'
+    }
+  ],
+
+  safety: {
+    messages: {
+      high: 'You told us you have recently had thoughts of harming yourself or ending your life. Your feelings matter and you do not have to face them alone — call one of the helplines below now, or tell someone you trust. If you are planning to harm yourself right now, call your local emergency number immediately (120 in mainland China) or go to the nearest hospital emergency department.',
+      elevated: 'You told us you have recently had thoughts about death or ending your life. These thoughts deserve to be taken seriously, and talking to a professional can help. The helplines below are free, confidential and available at any time; outside mainland China, the directory below lists helplines where you live.'
+    },
+    advice: 'Right now your safety matters more than any score. Please call one of the helplines above first (outside mainland China, find a local one in the directory), and see a psychiatrist or mental health clinic as soon as possible for a professional assessment and support.',
+    resources: {
+      national: { name: 'Mainland China: National Mental Health Helpline', hours: '24 hours' },
+      hope24: { name: 'Mainland China: Hope24 Hotline', hours: '24 hours' },
+      beijing: { name: 'Mainland China: Beijing Psychological Crisis Research and Intervention Center', hours: '24 hours' },
+      emergency: { name: 'Mainland China: emergencies', hours: '24 hours' },
+      directory: { name: 'Other countries and regions: Find A Helpline directory', hours: 'worldwide' }
+    }
+  },
+
+  validity: {
+    too_fast: ({ timing, minItemSeconds }) => `${timing.fastItems} items were answered in less than ${minItemSeconds} second, possibly without reading them carefully`,
+    straight_lining: ({ longestRun }) => `The same option was chosen for ${longestRun.length} items in a row`,
+    inconsistent: ({ consistency }) => `${consistency.inconsistentPairs.length} pairs of similar items were answered very differently`
+  },
+
+  // 量表文字，按 data/scales 中的题目、选项与等级顺序排列；version 与定义不一致时使用原定义的文字
+  scales: {
+    scl90: {
+      version: 1,
+      name: 'SCL-90 Symptom Checklist',
+      shortName: 'SCL-90',
+      description: 'A broad assessment of recent mental health across 10 dimensions, including somatization, obsessive-compulsive symptoms, depression and anxiety',
+      timeframe: 'the past week',
+      questions: [
+        'Headaches',
+        'Nervousness or shakiness inside',
+        'Unwanted thoughts, words or ideas that won\'t leave your mind',
+        'Faintness or dizziness',
+        'Loss of sexual interest or pleasure',
+        'Feeling critical of others',
+        'The idea that someone else can control your thoughts',
+        'Feeling others are to blame for most of your troubles',
+        'Trouble remembering things',
+        'Worried about sloppiness or carelessness',
+        'Feeling easily annoyed or irritated',
+        'Pains in heart or chest',
+        'Feeling afraid in open spaces or on the streets',
+        'Feeling low in energy or slowed down',
+        'Thoughts of ending your life',
+        'Hearing voices that other people do not hear',
+        'Trembling',
+        'Feeling that most people cannot be trusted',
+        'Poor appetite',
+        'Crying easily',
+        'Feeling shy or uneasy with the opposite sex',
+        'Feelings of being trapped or caught',
+        'Suddenly scared for no reason',
+        'Temper outbursts that you could not control',
+        'Feeling afraid to go out of your house alone',
+        'Blaming yourself for things',
+        'Pains in lower back',
+        'Feeling blocked in getting things done',
+        'Feeling lonely',
+        'Feeling blue',
+        'Worrying too much about things',
+        'Feeling no interest in things',
+        'Feeling fearful',
+        'Your feelings being easily hurt',
+        'Other people being aware of your private thoughts',
+        'Feeling others do not understand you or are unsympathetic',
+        'Feeling that people are unfriendly or dislike you',
+        'Having to do things very slowly to insure correctness',
+        'Heart pounding or racing',
+        'Nausea or upset stomach',
+        'Feeling inferior to others',
+        'Soreness of your muscles',
+        'Feeling that you are watched or talked about by others',
+        'Trouble falling asleep',
+        'Having to check and double-check what you do',
+        'Difficulty making decisions',
+        'Feeling afraid to travel on buses, subways or trains',
+        'Trouble getting your breath',
+        'Hot or cold spells',
+        'Having to avoid certain things, places or activities because they frighten you',
+        'Your mind going blank',
+        'Numbness or tingling in parts of your body',
+        'A lump in your throat',
+        'Feeling hopeless about the future',
+        'Trouble concentrating',
+        'Feeling weak in parts of your body',
+        'Feeling tense or keyed up',
+        'Heavy feelings in your arms or legs',
+        'Thoughts of death or dying',
+        'Overeating',
+        'Feeling uneasy when people are watching or talking about you',
+        'Having thoughts that are not your own',
+        'Having urges to beat, injure or harm someone',
+        'Awakening in the early morning',
+        'Having to repeat the same actions such as touching, counting or washing',
+        'Sleep that is restless or disturbed',
+        'Having urges to break or smash things',
+        'Having ideas or beliefs that others do not share',
+        'Feeling very self-conscious with others',
+        'Feeling uneasy in crowds, such as shopping or at a movie',
+        'Feeling everything is an effort',
+        'Spells of terror or panic',
+        'Feeling uncomfortable about eating or drinking in public',
+        'Getting into frequent arguments',
+        'Feeling nervous when you are left alone',
+        'Others not giving you proper credit for your achievements',
+        'Feeling lonely even when you are with people',
+        'Feeling so restless you couldn\'t sit still',
+        'Feelings of worthlessness',
+        'Feeling that familiar things are strange or unreal',
+        'Shouting or throwing things',
+        'Feeling afraid you will faint in public',
+        'Feeling that people will take advantage of you if you let them',
+        'Having thoughts about sex that bother you a lot',
+        'The idea that you should be punished for your sins',
+        'Feeling pushed to get things done',
+        'The idea that something serious is wrong with your body',
+        'Never feeling close to another person',
+        'Feelings of guilt',
+        'The idea that something is wrong with your mind'
+      ],
+      options: [
+        { label: 'Not at all', description: 'This has not happened at all' },
+        { label: 'A little bit', description: 'This has happened, but only a little' },
+        { label: 'Moderately', description: 'This has happened to a moderate degree' },
+        { label: 'Quite a bit', description: 'This has happened quite a lot' },
+        { label: 'Extremely', description: 'This has happened to an extreme degree' }
+      ]
+    },
+    sds: {
+      version: 1,
+      name: 'SDS Self-Rating Depression Scale',
+      shortName: 'SDS',
+      description: 'Measures how you have been feeling recently and how severe any depressed mood is',
+      timeframe: 'the past week',
+      questions: [
+        'I feel down-hearted and blue',
+        'Morning is when I feel the best',
+        'I have crying spells or feel like it',
+        'I have trouble sleeping at night',
+        'I eat as much as I used to',
+        'I still enjoy sex',
+        'I notice that I am losing weight',
+        'I have trouble with constipation',
+        'My heart beats faster than usual',
+        'I get tired for no reason',
+        'My mind is as clear as it used to be',
+        'I find it easy to do the things I used to',
+        'I am restless and can\'t keep still',
+        'I feel hopeful about the future',
+        'I am more irritable than usual',
+        'I find it easy to make decisions',
+        'I feel that I am useful and needed',
+        'My life is pretty full',
+        'I feel that others would be better off if I were dead',
+        'I still enjoy the things I used to do'
+      ],
+      options: zungOptions(),
+      bands: [
+        { level: 'None', description: 'No significant depressed mood', advice: 'Your mood has generally been good recently. Keep regular hours and moderate exercise, and keep an eye on changes in how you feel.' },
+        { level: 'Mild', description: 'Mild depressed mood', advice: 'You have had some low mood recently. Spend time with family and friends, plan activities you enjoy and keep a regular routine; if things do not improve within two weeks, consider seeking professional help.' },
+        { level: 'Moderate', description: 'Moderate depressed mood', advice: 'Your low mood is already affecting your daily life. Please see a counsellor or psychiatrist soon for an assessment and support.' },
+        { level: 'Severe', description: 'Severe depressed mood', advice: 'Your low mood is severe. Please see a psychiatrist or mental health clinic as soon as possible for a professional assessment and treatment.' }
+      ]
+    },
+    sas: {
+      version: 1,
+      name: 'SAS Self-Rating Anxiety Scale',
+      shortName: 'SAS',
+      description: 'Measures how you have been feeling recently and how severe any anxiety is',
+      timeframe: 'the past week',
+      questions: [
+        'I feel more nervous and anxious than usual',
+        'I feel afraid for no reason at all',
+        'I get upset easily or feel panicky',
+        'I feel like I\'m falling apart and going to pieces',
+        'I feel that everything is all right and nothing bad will happen',
+        'My arms and legs shake and tremble',
+        'I am bothered by headaches, neck and back pains',
+        'I feel weak and get tired easily',
+        'I feel calm and can sit still easily',
+        'I can feel my heart beating fast',
+        'I am bothered by dizzy spells',
+        'I have fainting spells or feel like it',
+        'I can breathe in and out easily',
+        'I get feelings of numbness and tingling in my fingers and toes',
+        'I am bothered by stomach aches or indigestion',
+        'I have to empty my bladder often',
+        'My hands are usually dry and warm',
+        'My face gets hot and blushes',
+        'I fall asleep easily and get a good night\'s rest',
+        'I have nightmares'
+      ],
+      options: zungOptions(),
+      bands: [
+        { level: 'None', description: 'No significant anxiety', advice: 'Your mood has generally been good recently. Keep regular hours and moderate exercise, and make time to relax.' },
+        { level: 'Mild', description: 'Mild anxiety', advice: 'You have felt somewhat tense and anxious recently. Try deep breathing, exercise and other ways to relax, and balance work and rest; if things do not improve, consider seeking professional help.' },
+        { level: 'Moderate', description: 'Moderate anxiety', advice: 'Your anxiety is already affecting your daily life. Please see a counsellor or psychiatrist soon for an assessment and support.' },
+        { level: 'Severe', description: 'Severe anxiety', advice: 'Your anxiety is severe. Please see a psychiatrist or mental health clinic as soon as possible for a professional assessment and treatment.' }
+      ]
+    },
+    phq9: {
+      version: 1,
+      name: 'PHQ-9 Depression Screening Questionnaire',
+      shortName: 'PHQ-9',
+      description: 'A quick screen for depressive symptoms and their severity',
+      timeframe: 'the past two weeks',
+      questions: [
+        'Little interest or pleasure in doing things',
+        'Feeling down, depressed, or hopeless',
+        'Trouble falling or staying asleep, or sleeping too much',
+        'Feeling tired or having little energy',
+        'Poor appetite or overeating',
+        'Feeling bad about yourself — or that you are a failure or have let yourself or your family down',
+        'Trouble concentrating on things, such as reading the newspaper or watching television',
+        'Moving or speaking so slowly that other people could have noticed? Or the opposite — being so fidgety or restless that you have been moving around a lot more than usual',
+        'Thoughts that you would be better off dead or of hurting yourself in some way'
+      ],
+      options: twoWeekOptions(),
+      bands: [
+        { level: 'None', description: 'No significant depressive symptoms', advice: 'Your mood has generally been good recently. Keep up a healthy lifestyle and keep an eye on changes in how you feel.' },
+        { level: 'Mild', description: 'Mild depressive symptoms', advice: 'You have some depressive symptoms. Keep a regular routine and moderate exercise, and talk to people you trust; if things have not improved in two weeks, consider seeking professional help.' },
+        { level: 'Moderate', description: 'Moderate depressive symptoms', advice: 'Your depressive symptoms are at a moderate level. Please see a counsellor or psychiatrist for an assessment and a suitable plan.' },
+        { level: 'Moderately severe', description: 'Moderately severe depressive symptoms', advice: 'Your depressive symptoms are marked. Please see a psychiatrist or mental health clinic soon for a professional assessment and treatment.' },
+        { level: 'Severe', description: 'Severe depressive symptoms', advice: 'Your depressive symptoms are severe. Please see a psychiatrist or mental health clinic as soon as possible for a professional assessment and treatment.' }
+      ]
+    },
+    gad7: {
+      version: 1,
+      name: 'GAD-7 Anxiety Screening Questionnaire',
+      shortName: 'GAD-7',
+      description: 'A quick screen for generalized anxiety symptoms and their severity',
+      timeframe: 'the past two weeks',
+      questions: [
+        'Feeling nervous, anxious, or on edge',
+        'Not being able to stop or control worrying',
+        'Worrying too much about different things',
+        'Trouble relaxing',
+        'Being so restless that it is hard to sit still',
+        'Becoming easily annoyed or irritable',
+        'Feeling afraid, as if something awful might happen'
+      ],
+      options: twoWeekOptions(),
+      bands: [
+        { level: 'None', description: 'No significant anxiety symptoms', advice: 'Your mood has generally been good recently. Keep up a healthy lifestyle and make time to relax.' },
+        { level: 'Mild', description: 'Mild anxiety symptoms', advice: 'You have some anxiety symptoms. Try deep breathing, exercise and other ways to relax, and balance work and rest; if things do not improve, consider seeking professional help.' },
+        { level: 'Moderate', description: 'Moderate anxiety symptoms', advice: 'Your anxiety symptoms are at a moderate level. Please see a counsellor or psychiatrist for an assessment and support.' },
+        { level: 'Severe', description: 'Severe anxiety symptoms', advice: 'Your anxiety symptoms are severe. Please see a psychiatrist or mental health clinic as soon as possible for a professional assessment and treatment.' }
+      ]
+    }
+  }
+};
+
+// Zung 量表（SDS / SAS）的 4 级选项
+function zungOptions() {
+  return [
+    { label: 'A little of the time', description: 'None or a little of the time' },
+    { label: 'Some of the time', description: 'Some of the time' },
+    { label: 'Good part of the time', description: 'A good part of the time' },
+    { label: 'Most of the time', description: 'Most or all of the time' }
+  ];
+}
+
+// PHQ-9 / GAD-7 的过去两周频率选项
+function twoWeekOptions() {
+  return [
+    { label: 'Not at all', description: 'Not at all in the past two weeks' },
+    { label: 'Several days', description: 'On several days in the past two weeks' },
+    { label: 'More than half the days', description: 'On more than half the days in the past two weeks' },
+    { label: 'Nearly every day', description: 'Nearly every day in the past two weeks' }
+  ];
+}
@@ -0,0 +1,78 @@
+/**
+ * 语言包注册表
+ *
+ * 每个语言包包含计分与报告生成时使用的文字：SCL-90 因子名称与解读、等级名称、
+ * 风险等级建议、安全预警与作答有效性提示；zh-TW / en 另含各量表的题目、选项与等级文字（scales）。
+ * 量表的简体中文文字即 data/scales 中的定义本身。
+ *
+ * 结果按作答时选择的语言生成并记录 locale，报告始终以该语言展示；
+ * 前端界面文字见 index.html 中的 uiMessages。
+ */
+
+import { zhCN } from './zh-CN.js';
+import { zhTW } from './zh-TW.js';
+import { en } from './en.js';
+
+export const locales = { 'zh-CN': zhCN, 'zh-TW': zhTW, en };
+
+// 默认语言（未指定语言的请求与旧结果）
+export const DEFAULT_LOCALE = 'zh-CN';
+
+/**
+ * 将浏览器语言等输入归并为支持的语言
+ * @param {string} locale - 如 en-US、zh-HK、zh-Hant-TW
+ * @returns {string} 'zh-CN' | 'zh-TW' | 'en'
+ */
+export function resolveLocale(locale) {
+  const value = String(locale || '').toLowerCase();
+  if (value.startsWith('en')) return 'en';
+  if (/^zh-(tw|hk|mo|hant)/.test(value)) return 'zh-TW';
+  return DEFAULT_LOCALE;
+}
+
+/**
+ * 获取语言包
+ * @param {string} locale
+ * @returns {Object}
+ */
+export function getMessages(locale) {
+  return locales[resolveLocale(locale)];
+}
+
+/**
+ * 生成指定语言的量表定义
+ * 语言包没有该量表或版本不一致时保留原定义的文字
+ * @param {Object} scale - 量表定义（见 data/scales）
+ * @param {string} locale
+ * @returns {Object} 量表定义副本，locale 为实际使用的语言
+ */
+export function localizeScale(scale, locale) {
+  const resolved = resolveLocale(locale);
+  const text = (locales[resolved].scales || {})[scale.id];
+  if (!text || text.version !== scale.version) {
+    return { ...scale, locale: DEFAULT_LOCALE };
+  }
+
+  return {
+    ...scale,
+    locale: resolved,
+    name: text.name,
+    shortName: text.shortName,
+    description: text.description,
+    timeframe: text.timeframe,
+    questions: scale.questions.map((question, i) => ({ ...question, text: text.questions[i] })),
+    options: scale.options.map((option, i) => ({ ...option, ...text.options[i] })),
+    ...(scale.bands && { bands: scale.bands.map((band, i) => ({ ...band, ...text.bands[i] })) })
+  };
+}
+
+/**
+ * SCL-90 因子的显示名称
+ * @param {string} factorId - 因子 ID（见 data/questions.js）
+ * @param {string} locale
+ * @returns {string} 未登记的因子返回 ID 本身
+ */
+export function getFactorName(factorId, locale) {
+  const factor = getMessages(locale).factors[factorId];
+  return factor ? factor.name : factorId;
+}
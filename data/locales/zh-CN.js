@@ -0,0 +1,132 @@
+// 简体中文（默认语言）
+// 量表的题目、选项与等级文字即 data/scales 中的定义，这里只包含计分与报告生成时使用的文字
+export const zhCN = {
+  // SCL-90 因子名称与解读，键为 data/questions.js 中的因子 ID
+  factors: {
+    somatization: {
+      name: '躯体化',
+      description: '反映主观的身体不适感，包括心血管、胃肠道、呼吸系统等方面的不适。',
+      highScore: '可能存在较多的身体不适主诉，如头痛、胃痛、胸闷等，这些症状可能和心理压力有关。',
+      suggestions: ['尝试放松训练，如深呼吸、冥想', '保持规律的运动', '如症状持续，建议进行身体检查以排除器质性疾病']
+    },
+    obsessiveCompulsive: {
+      name: '强迫症状',
+      description: '主要指那些明知没有必要，但又无法摆脱的无意义的思想、冲动和行为。',
+      highScore: '可能存在强迫思维或行为，如反复检查、反复思考某些问题等。',
+      suggestions: ['认识并接受自己的强迫倾向', '练习延迟强迫行为', '通过转移注意力来减少强迫症状', '严重时建议寻求专业认知行为治疗']
+    },
+    interpersonalSensitivity: {
+      name: '人际关系敏感',
+      description: '指在人际交往中的不自在感和自卑感，特别是在与他人比较时更为突出。',
+      highScore: '可能在人际交往中感到不自信，过于在意他人的评价，容易产生人际紧张。',
+      suggestions: ['培养自我接纳和自我肯定', '学习有效的沟通技巧', '从小范围开始练习人际交往', '认识到他人也会感到紧张']
+    },
+    depression: {
+      name: '抑郁',
+      description: '反映情绪低落、悲观失望、生活兴趣减退等症状。',
+      highScore: '可能存在情绪低落、兴趣减退、无望感等抑郁症状，需要特别关注。',
+      suggestions: ['保持规律的作息和运动', '尝试做一些曾经喜欢的事情', '与信任的人倾诉', '如症状持续超过两周，强烈建议寻求专业帮助']
+    },
+    anxiety: {
+      name: '焦虑',
+      description: '指烦躁、坐立不安、神经过敏以及由此产生的躯体征象。',
+      highScore: '可能存在明显的焦虑症状，如紧张不安、心慌、担心等。',
+      suggestions: ['学习放松技巧，如渐进式肌肉放松', '练习正念冥想', '识别并挑战焦虑的想法', '避免过多摄入咖啡因']
+    },
+    hostility: {
+      name: '敌对',
+      description: '主要从思维、情感及行为三方面来反映患者的敌对表现。',
+      highScore: '可能容易产生敌对情绪，表现为易怒、发脾气、甚至有攻击倾向。',
+      suggestions: ['学会识别愤怒的早期信号', '学习健康的情绪表达方式', '通过运动释放紧张情绪', '练习深呼吸等冷静技巧']
+    },
+    phobicAnxiety: {
+      name: '恐怖',
+      description: '反映对某些场景、物体或人际交往的恐惧和回避。',
+      highScore: '可能对某些特定场景或物体存在明显的恐惧和回避行为。',
+      suggestions: ['逐步暴露于恐惧情境（系统脱敏）', '学习放松技巧以应对恐惧', '记录并分析恐惧的想法', '严重时建议寻求专业治疗']
+    },
+    paranoidIdeation: {
+      name: '偏执',
+      description: '主要指投射性思维、敌对、猜疑、妄想、被动体验和夸大等。',
+      highScore: '可能存在多疑、不信任他人、感觉自己被针对等思维模式。',
+      suggestions: ['尝试检验自己的猜疑是否有证据', '学会换位思考', '培养对他人基本的信任', '与信任的朋友讨论自己的想法']
+    },
+    psychoticism: {
+      name: '精神病性',
+      description: '反映各种急性症状和行为，即限定不严的精神病性过程的症状表现。',
+      highScore: '可能存在一些特殊的思维体验或感知觉异常，需要专业评估。',
+      suggestions: ['保持规律的作息', '避免使用精神活性物质', '减少压力', '建议寻求专业精神科医生的帮助']
+    },
+    additional: {
+      name: '其他',
+      description: '附加项目，主要反映睡眠及饮食情况，如入睡困难、早醒、食欲改变等。',
+      highScore: '可能存在较明显的睡眠或饮食问题，这些问题常与情绪状态相互影响。',
+      suggestions: ['保持规律的作息时间，睡前减少使用电子设备', '避免睡前摄入咖啡因和酒精', '保持规律、适量的饮食', '如睡眠问题持续超过两周，建议就医']
+    }
+  },
+
+  // 未登记因子的通用解读
+  defaultFactor: {
+    description: '心理健康评估维度之一。',
+    highScore: '该维度得分偏高，建议关注。',
+    suggestions: ['保持良好的生活习惯', '适当进行自我调节', '必要时寻求专业帮助']
+  },
+
+  // 常模分组名称（utils/norms.js 的 normGroups）
+  normGroups: {
+    adult: '中国成人常模'
+  },
+
+  // T 分等级名称，与 utils/norms.js 的 tScoreBands 一一对应
+  tScoreLevels: ['正常', '轻度', '中度', '重度'],
+
+  // 无常模因子按均分界值判定的等级名称
+  unnormedLevels: ['正常', '偏高'],
+
+  // SCL-90 风险等级，与 utils/calculator.js 的 riskLevels 一一对应
+  riskLevels: [
+    {
+      level: '无明显',
+      description: '您的心理状态良好',
+      advice: '您的心理状态总体良好。继续保持健康的生活方式，适当进行自我关怀，关注心理健康。'
+    },
+    {
+      level: '轻度',
+      description: '您存在轻微的心理困扰',
+      advice: '您的心理状态总体尚可，但有些方面需要关注。建议您适当进行自我调节，保持良好的作息习惯，多进行运动和放松。如感觉困扰持续，可考虑寻求专业帮助。'
+    },
+    {
+      level: '中度',
+      description: '您存在一定的心理困扰',
+      advice: '您的心理状态需要关注。建议您寻求专业心理咨询师的帮助，了解如何更好地调整自己的心理状态。'
+    },
+    {
+      level: '重度',
+      description: '您的心理困扰程度较为严重',
+      advice: '建议您尽快寻求专业心理医生的帮助，进行专业的心理咨询或治疗。您的心理状态需要专业的关注和支持。'
+    }
+  ],
+
+  // 安全预警（utils/safety.js）
+  safety: {
+    messages: {
+      high: '您在作答中提到近期有伤害自己或结束生命的想法。您的感受很重要，请不要独自承受——现在就拨打下方的心理援助热线，或告诉一位您信任的人。如果您有立即伤害自己的打算，请马上拨打 120 或前往最近医院的急诊。',
+      elevated: '您在作答中提到近期有关于死亡或结束生命的想法。这些想法值得认真对待，和专业人员聊一聊会有帮助。下方的心理援助热线免费、保密，随时可以拨打。'
+    },
+    // 触发预警时替代结果页的综合建议
+    advice: '此刻您的安全比任何分数都重要。请先拨打上方的心理援助热线，并尽快前往医院精神心理科或心理门诊，由专业人员评估并提供帮助。',
+    resources: {
+      national: { name: '全国统一心理援助热线', hours: '24小时' },
+      hope24: { name: '希望24热线', hours: '24小时' },
+      beijing: { name: '北京心理危机研究与干预中心', hours: '24小时' },
+      emergency: { name: '紧急情况请拨打', hours: '24小时' }
+    }
+  },
+
+  // 作答有效性提示（utils/validity.js），参数为有效性指标
+  validity: {
+    too_fast: ({ timing, minItemSeconds }) => `${timing.fastItems} 道题的作答用时不足 ${minItemSeconds} 秒，可能没有仔细阅读题目`,
+    straight_lining: ({ longestRun }) => `连续 ${longestRun.length} 道题选择了相同的选项`,
+    inconsistent: ({ consistency }) => `${consistency.inconsistentPairs.length} 组内容相近的题目回答差异较大`
+  }
+};
@@ -0,0 +1,385 @@
+// 繁体中文（由简体中文版本转换，采用台湾常用词汇）
+export const zhTW = {
+  // SCL-90 因子名称与解读，键为 data/questions.js 中的因子 ID
+  factors: {
+    somatization: {
+      name: '軀體化',
+      description: '反映主觀的身體不適感，包括心血管、胃腸道、呼吸系統等方面的不適。',
+      highScore: '可能存在較多的身體不適主訴，如頭痛、胃痛、胸悶等，這些症狀可能和心理壓力有關。',
+      suggestions: ['嘗試放鬆訓練，如深呼吸、冥想', '保持規律的運動', '如症狀持續，建議進行身體檢查以排除器質性疾病']
+    },
+    obsessiveCompulsive: {
+      name: '強迫症狀',
+      description: '主要指那些明知沒有必要，但又無法擺脫的無意義的思想、衝動和行為。',
+      highScore: '可能存在強迫思維或行為，如反覆檢查、反覆思考某些問題等。',
+      suggestions: ['認識並接受自己的強迫傾向', '練習延遲強迫行為', '透過轉移注意力來減少強迫症狀', '嚴重時建議尋求專業認知行為治療']
+    },
+    interpersonalSensitivity: {
+      name: '人際關係敏感',
+      description: '指在人際交往中的不自在感和自卑感，特別是在與他人比較時更為突出。',
+      highScore: '可能在人際交往中感到不自信，過於在意他人的評價，容易產生人際緊張。',
+      suggestions: ['培養自我接納和自我肯定', '學習有效的溝通技巧', '從小範圍開始練習人際交往', '認識到他人也會感到緊張']
+    },
+    depression: {
+      name: '憂鬱',
+      description: '反映情緒低落、悲觀失望、生活興趣減退等症狀。',
+      highScore: '可能存在情緒低落、興趣減退、無望感等憂鬱症狀，需要特別關注。',
+      suggestions: ['保持規律的作息和運動', '嘗試做一些曾經喜歡的事情', '與信任的人傾訴', '如症狀持續超過兩週，強烈建議尋求專業幫助']
+    },
+    anxiety: {
+      name: '焦慮',
+      description: '指煩躁、坐立不安、神經過敏以及由此產生的軀體徵象。',
+      highScore: '可能存在明顯的焦慮症狀，如緊張不安、心慌、擔心等。',
+      suggestions: ['學習放鬆技巧，如漸進式肌肉放鬆', '練習正念冥想', '識別並挑戰焦慮的想法', '避免過多攝入咖啡因']
+    },
+    hostility: {
+      name: '敵對',
+      description: '主要從思維、情感及行為三方面來反映患者的敵對錶現。',
+      highScore: '可能容易產生敵對情緒，表現為易怒、發脾氣、甚至有攻擊傾向。',
+      suggestions: ['學會識別憤怒的早期訊號', '學習健康的情緒表達方式', '透過運動釋放緊張情緒', '練習深呼吸等冷靜技巧']
+    },
+    phobicAnxiety: {
+      name: '恐怖',
+      description: '反映對某些場景、物體或人際交往的恐懼和迴避。',
+      highScore: '可能對某些特定場景或物體存在明顯的恐懼和迴避行為。',
+      suggestions: ['逐步暴露於恐懼情境（系統脫敏）', '學習放鬆技巧以應對恐懼', '記錄並分析恐懼的想法', '嚴重時建議尋求專業治療']
+    },
+    paranoidIdeation: {
+      name: '偏執',
+      description: '主要指投射性思維、敵對、猜疑、妄想、被動體驗和誇大等。',
+      highScore: '可能存在多疑、不信任他人、感覺自己被針對等思維模式。',
+      suggestions: ['嘗試檢驗自己的猜疑是否有證據', '學會換位思考', '培養對他人基本的信任', '與信任的朋友討論自己的想法']
+    },
+    psychoticism: {
+      name: '精神病性',
+      description: '反映各種急性症狀和行為，即限定不嚴的精神病性過程的症狀表現。',
+      highScore: '可能存在一些特殊的思維體驗或感知覺異常，需要專業評估。',
+      suggestions: ['保持規律的作息', '避免使用精神活性物質', '減少壓力', '建議尋求專業精神科醫生的幫助']
+    },
+    additional: {
+      name: '其他',
+      description: '附加項目，主要反映睡眠及飲食情況，如入睡困難、早醒、食慾改變等。',
+      highScore: '可能存在較明顯的睡眠或飲食問題，這些問題常與情緒狀態相互影響。',
+      suggestions: ['保持規律的作息時間，睡前減少使用電子裝置', '避免睡前攝入咖啡因和酒精', '保持規律、適量的飲食', '如睡眠問題持續超過兩週，建議就醫']
+    }
+  },
+
+  // 未登记因子的通用解读
+  defaultFactor: {
+    description: '心理健康評估維度之一。',
+    highScore: '該維度得分偏高，建議關注。',
+    suggestions: ['保持良好的生活習慣', '適當進行自我調節', '必要時尋求專業幫助']
+  },
+
+  // 常模分组名称（utils/norms.js 的 normGroups）
+  normGroups: {
+    adult: '中國成人常模'
+  },
+
+  // T 分等级名称，与 utils/norms.js 的 tScoreBands 一一对应
+  tScoreLevels: ['正常', '輕度', '中度', '重度'],
+
+  // 无常模因子按均分界值判定的等级名称
+  unnormedLevels: ['正常', '偏高'],
+
+  // SCL-90 风险等级，与 utils/calculator.js 的 riskLevels 一一对应
+  riskLevels: [
+    {
+      level: '無明顯',
+      description: '您的心理狀態良好',
+      advice: '您的心理狀態總體良好。繼續保持健康的生活方式，適當進行自我關懷，關注心理健康。'
+    },
+    {
+      level: '輕度',
+      description: '您存在輕微的心理困擾',
+      advice: '您的心理狀態總體尚可，但有些方面需要關注。建議您適當進行自我調節，保持良好的作息習慣，多進行運動和放鬆。如感覺困擾持續，可考慮尋求專業幫助。'
+    },
+    {
+      level: '中度',
+      description: '您存在一定的心理困擾',
+      advice: '您的心理狀態需要關注。建議您尋求專業心理諮詢師的幫助，瞭解如何更好地調整自己的心理狀態。'
+    },
+    {
+      level: '重度',
+      description: '您的心理困擾程度較為嚴重',
+      advice: '建議您儘快尋求專業心理醫生的幫助，進行專業的心理諮詢或治療。您的心理狀態需要專業的關注和支援。'
+    }
+  ],
+
+  // 安全预警（utils/safety.js）
+  safety: {
+    messages: {
+      high: '您在作答中提到近期有傷害自己或結束生命的想法。您的感受很重要，請不要獨自承受——現在就撥打下方的心理援助熱線，或告訴一位您信任的人。如果您有立即傷害自己的打算，請馬上撥打當地的緊急電話（中國大陸 120、台灣 119、港澳 999）或前往最近醫院的急診。',
+      elevated: '您在作答中提到近期有關於死亡或結束生命的想法。這些想法值得認真對待，和專業人員聊一聊會有幫助。下方的心理援助熱線免費、保密，隨時可以撥打。'
+    },
+    // 触发预警时替代结果页的综合建议
+    advice: '此刻您的安全比任何分數都重要。請先撥打上方的心理援助熱線，並儘快前往醫院精神心理科或心理門診，由專業人員評估並提供幫助。',
+    resources: {
+      national: { name: '中國大陸 全國統一心理援助熱線', hours: '24小時' },
+      hope24: { name: '中國大陸 希望24熱線', hours: '24小時' },
+      beijing: { name: '中國大陸 北京心理危機研究與干預中心', hours: '24小時' },
+      emergency: { name: '中國大陸 緊急情況請撥打', hours: '24小時' },
+      taiwan: { name: '台灣 衛福部安心專線', hours: '24小時' },
+      hongkong: { name: '香港 撒瑪利亞防止自殺會', hours: '24小時' },
+      macau: { name: '澳門 明愛生命熱線', hours: '24小時' }
+    }
+  },
+
+  // 作答有效性提示（utils/validity.js），参数为有效性指标
+  validity: {
+    too_fast: ({ timing, minItemSeconds }) => `${timing.fastItems} 道題的作答用時不足 ${minItemSeconds} 秒，可能沒有仔細閱讀題目`,
+    straight_lining: ({ longestRun }) => `連續 ${longestRun.length} 道題選擇了相同的選項`,
+    inconsistent: ({ consistency }) => `${consistency.inconsistentPairs.length} 組內容相近的題目回答差異較大`
+  },
+
+  // 量表文字，按 data/scales 中的题目、选项与等级顺序排列；version 与定义不一致时使用原定义的文字
+  scales: {
+    scl90: {
+      version: 1,
+      name: 'SCL-90 症狀自評量表',
+      shortName: 'SCL-90',
+      description: '從軀體化、強迫、憂鬱、焦慮等 10 個方面全面評估近期的心理健康狀況',
+      timeframe: '最近一週',
+      questions: [
+        '頭痛',
+        '神經過敏，心中不踏實',
+        '頭腦中有不必要的想法或字句盤旋',
+        '頭昏或昏倒',
+        '對異性的興趣減退',
+        '對旁人責罵求全',
+        '感到別人能控制您的思想',
+        '責怪別人製造麻煩',
+        '忘性大',
+        '擔心自己的衣飾整齊及儀態的端正',
+        '容易煩惱和激動',
+        '胸痛',
+        '害怕空曠的場所或街道',
+        '感到自己的精力下降，活動減慢',
+        '想結束自己的生命',
+        '聽到旁人所聽不到的聲音',
+        '發抖',
+        '感到大多數人都不可信任',
+        '胃口不好',
+        '容易哭泣',
+        '同異性相處時感到害羞不自在',
+        '感到受騙，中了圈套或有人想抓您',
+        '無緣無故地突然感到害怕',
+        '自己不能控制地發脾氣',
+        '怕單獨出門',
+        '經常責怪自己',
+        '腰痛',
+        '感到難以完成任務',
+        '感到孤獨',
+        '感到苦悶',
+        '過分擔憂',
+        '對事物不感興趣',
+        '感到害怕',
+        '您的感情容易受到傷害',
+        '旁人能知道您的私下想法',
+        '感到別人不理解您、不同情您',
+        '感到人們對您不友好，不喜歡您',
+        '做事必須做得很慢以保證做得正確',
+        '心跳得很厲害',
+        '噁心或胃部不舒服',
+        '感到比不上別人',
+        '肌肉痠痛',
+        '感到有人在監視您、談論您',
+        '難以入睡',
+        '做事必須反覆檢查',
+        '難以作出決定',
+        '怕乘電車、公共汽車、地鐵或火車',
+        '呼吸有困難',
+        '一陣陣發冷或發熱',
+        '因為感到害怕而避開某些東西、場合或活動',
+        '腦子變空了',
+        '身體發麻或刺痛',
+        '喉嚨有梗塞感',
+        '感到前途沒有希望',
+        '不能集中注意力',
+        '感到身體的某一部分軟弱無力',
+        '感到緊張或容易緊張',
+        '感到手或腳發重',
+        '想到死亡的事',
+        '吃得太多',
+        '當別人看著您或談論您時感到不自在',
+        '有一些不屬於您自己的想法',
+        '有想打人或傷害他人的衝動',
+        '醒得太早',
+        '必須反覆洗手、點數目',
+        '睡得不穩不深',
+        '有想摔壞或破壞東西的想法',
+        '有一些別人沒有的想法或念頭',
+        '感到對別人神經過敏',
+        '在商店或電影院等人多的地方感到不自在',
+        '感到任何事情都很困難',
+        '一陣陣恐懼或驚恐',
+        '感到公共場合吃東西很不舒服',
+        '經常與人爭論',
+        '單獨一人時神經很緊張',
+        '別人對您的成績沒有作出恰當的評價',
+        '即使和別人在一起也感到孤單',
+        '感到坐立不安心神不定',
+        '感到自己沒有什麼價值',
+        '感到熟悉的東西變成陌生或不真實',
+        '大叫或摔東西',
+        '害怕會在公共場合昏倒',
+        '感到別人想佔您的便宜',
+        '為一些有關性的想法而很苦惱',
+        '您認為應該因為自己的過錯而受到懲罰',
+        '感到要趕快把事情做完',
+        '感到自己的身體有嚴重問題',
+        '從未感到和其他人很親近',
+        '感到內疚',
+        '認為自己的腦子有毛病'
+      ],
+      options: [
+        { label: '沒有', description: '完全沒有這種情況' },
+        { label: '很輕', description: '有這種情況，但程度很輕' },
+        { label: '中等', description: '有這種情況，程度中等' },
+        { label: '偏重', description: '有這種情況，程度偏重' },
+        { label: '嚴重', description: '有這種情況，程度非常嚴重' }
+      ]
+    },
+    sds: {
+      version: 1,
+      name: 'SDS 憂鬱自評量表',
+      shortName: 'SDS',
+      description: '評估近期憂鬱情緒的主觀感受及其嚴重程度',
+      timeframe: '最近一週',
+      questions: [
+        '我覺得悶悶不樂，情緒低沉',
+        '我覺得一天之中早晨最好',
+        '我一陣陣哭出來或覺得想哭',
+        '我晚上睡眠不好',
+        '我吃得跟平常一樣多',
+        '我與異性密切接觸時和以往一樣感到愉快',
+        '我發覺我的體重在下降',
+        '我有便秘的苦惱',
+        '我心跳比平常快',
+        '我無緣無故地感到疲乏',
+        '我的頭腦跟平常一樣清楚',
+        '我覺得經常做的事情並沒有困難',
+        '我覺得不安而平靜不下來',
+        '我對將來抱有希望',
+        '我比平常容易生氣激動',
+        '我覺得作出決定是容易的',
+        '我覺得自己是個有用的人，有人需要我',
+        '我的生活過得很有意思',
+        '我認為如果我死了別人會生活得好些',
+        '平常感興趣的事我仍然照樣感興趣'
+      ],
+      options: [
+        { label: '很少', description: '沒有或很少時間有這種感覺' },
+        { label: '有時', description: '小部分時間有這種感覺' },
+        { label: '經常', description: '相當多時間有這種感覺' },
+        { label: '持續', description: '絕大部分或全部時間有這種感覺' }
+      ],
+      bands: [
+        { level: '無明顯', description: '未見明顯憂鬱情緒', advice: '您近期的情緒狀態總體良好。繼續保持規律的作息和適度的運動，關注自己的情緒變化。' },
+        { level: '輕度', description: '存在輕度憂鬱情緒', advice: '您近期存在一定的低落情緒。建議多與親友交流，安排自己喜歡的活動，保持規律作息；如持續兩週以上未見好轉，可考慮尋求專業幫助。' },
+        { level: '中度', description: '存在中度憂鬱情緒', advice: '您的憂鬱情緒已對生活造成一定影響，建議儘快尋求專業心理諮詢師或精神科醫生的評估與幫助。' },
+        { level: '重度', description: '存在重度憂鬱情緒', advice: '您的憂鬱情緒較為嚴重，請儘快前往醫院精神心理科就診，接受專業的評估和治療。' }
+      ]
+    },
+    sas: {
+      version: 1,
+      name: 'SAS 焦慮自評量表',
+      shortName: 'SAS',
+      description: '評估近期焦慮情緒的主觀感受及其嚴重程度',
+      timeframe: '最近一週',
+      questions: [
+        '我覺得比平常容易緊張和著急',
+        '我無緣無故地感到害怕',
+        '我容易心裡煩亂或覺得驚恐',
+        '我覺得我可能將要發瘋',
+        '我覺得一切都很好，也不會發生什麼不幸',
+        '我手腳發抖打顫',
+        '我因為頭痛、頸痛和背痛而苦惱',
+        '我感覺容易衰弱和疲乏',
+        '我覺得心平氣和，並且容易安靜坐著',
+        '我覺得心跳得很快',
+        '我因為一陣陣頭暈而苦惱',
+        '我有暈倒發作或覺得要暈倒似的',
+        '我呼氣吸氣都感到很容易',
+        '我手腳麻木和刺痛',
+        '我因為胃痛和消化不良而苦惱',
+        '我常常要小便',
+        '我的手常常是乾燥溫暖的',
+        '我臉紅發熱',
+        '我容易入睡並且一夜睡得很好',
+        '我做噩夢'
+      ],
+      options: [
+        { label: '很少', description: '沒有或很少時間有這種感覺' },
+        { label: '有時', description: '小部分時間有這種感覺' },
+        { label: '經常', description: '相當多時間有這種感覺' },
+        { label: '持續', description: '絕大部分或全部時間有這種感覺' }
+      ],
+      bands: [
+        { level: '無明顯', description: '未見明顯焦慮情緒', advice: '您近期的情緒狀態總體良好。繼續保持規律的作息和適度的運動，學會適時放鬆。' },
+        { level: '輕度', description: '存在輕度焦慮情緒', advice: '您近期存在一定的緊張和焦慮。建議嘗試深呼吸、運動等放鬆方法，合理安排工作與休息；如持續未見好轉，可考慮尋求專業幫助。' },
+        { level: '中度', description: '存在中度焦慮情緒', advice: '您的焦慮情緒已對生活造成一定影響，建議儘快尋求專業心理諮詢師或精神科醫生的評估與幫助。' },
+        { level: '重度', description: '存在重度焦慮情緒', advice: '您的焦慮情緒較為嚴重，請儘快前往醫院精神心理科就診，接受專業的評估和治療。' }
+      ]
+    },
+    phq9: {
+      version: 1,
+      name: 'PHQ-9 憂鬱症篩檢量表',
+      shortName: 'PHQ-9',
+      description: '快速篩檢憂鬱症狀及其嚴重程度',
+      timeframe: '過去兩週',
+      questions: [
+        '做事時提不起勁或沒有興趣',
+        '感到心情低落、沮喪或絕望',
+        '入睡困難、睡不安穩或睡眠過多',
+        '感覺疲倦或沒有活力',
+        '食慾不振或吃太多',
+        '覺得自己很糟，或覺得自己很失敗，或讓自己或家人失望',
+        '對事物專注有困難，例如閱讀報紙或看電視時',
+        '動作或說話速度緩慢到別人已經察覺；或正好相反，煩躁或坐立不安、動來動去的情況更勝於平常',
+        '有不如死掉或用某種方式傷害自己的念頭'
+      ],
+      options: [
+        { label: '完全不會', description: '過去兩週內沒有出現' },
+        { label: '好幾天', description: '過去兩週內有幾天出現' },
+        { label: '一半以上的天數', description: '過去兩週內超過一半的天數出現' },
+        { label: '幾乎每天', description: '過去兩週內幾乎每天都出現' }
+      ],
+      bands: [
+        { level: '無明顯', description: '未見明顯憂鬱症狀', advice: '您近期的情緒狀態總體良好。繼續保持健康的生活方式，關注自己的情緒變化。' },
+        { level: '輕度', description: '存在輕度憂鬱症狀', advice: '您近期有一些憂鬱症狀。建議保持規律作息和適度運動，多與信任的人交流；如兩週後仍未好轉，可考慮尋求專業幫助。' },
+        { level: '中度', description: '存在中度憂鬱症狀', advice: '您的憂鬱症狀已達到中度水平，建議尋求專業心理諮詢師或精神科醫生的評估，制定合適的干預方案。' },
+        { level: '中重度', description: '存在中重度憂鬱症狀', advice: '您的憂鬱症狀較為明顯，建議儘快前往醫院精神心理科就診，接受專業的評估和治療。' },
+        { level: '重度', description: '存在重度憂鬱症狀', advice: '您的憂鬱症狀嚴重，請儘快前往醫院精神心理科就診，接受專業的評估和治療。' }
+      ]
+    },
+    gad7: {
+      version: 1,
+      name: 'GAD-7 焦慮症篩檢量表',
+      shortName: 'GAD-7',
+      description: '快速篩檢廣泛性焦慮症狀及其嚴重程度',
+      timeframe: '過去兩週',
+      questions: [
+        '感覺緊張、焦慮或急切',
+        '不能夠停止或控制擔憂',
+        '對各種各樣的事情擔憂過多',
+        '很難放鬆下來',
+        '由於不安而無法靜坐',
+        '變得容易煩惱或急躁',
+        '感到似乎將有可怕的事情發生而害怕'
+      ],
+      options: [
+        { label: '完全不會', description: '過去兩週內沒有出現' },
+        { label: '好幾天', description: '過去兩週內有幾天出現' },
+        { label: '一半以上的天數', description: '過去兩週內超過一半的天數出現' },
+        { label: '幾乎每天', description: '過去兩週內幾乎每天都出現' }
+      ],
+      bands: [
+        { level: '無明顯', description: '未見明顯焦慮症狀', advice: '您近期的情緒狀態總體良好。繼續保持健康的生活方式，學會適時放鬆。' },
+        { level: '輕度', description: '存在輕度焦慮症狀', advice: '您近期有一些焦慮症狀。建議嘗試深呼吸、運動等放鬆方法，合理安排工作與休息；如持續未見好轉，可考慮尋求專業幫助。' },
+        { level: '中度', description: '存在中度焦慮症狀', advice: '您的焦慮症狀已達到中度水平，建議尋求專業心理諮詢師或精神科醫生的評估與幫助。' },
+        { level: '重度', description: '存在重度焦慮症狀', advice: '您的焦慮症狀嚴重，請儘快前往醫院精神心理科就診，接受專業的評估和治療。' }
+      ]
+    }
+  }
+};
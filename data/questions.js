@@ -1,110 +1,194 @@
-// SCI-90 标准题目（90道）
-export const questions = [
-  { id: 1, text: "头痛", dimension: "躯体化" },
-  { id: 2, text: "神经过敏，心中不踏实", dimension: "强迫症状" },
-  { id: 3, text: "头脑中有不必要的想法或字句盘旋", dimension: "强迫症状" },
-  { id: 4, text: "头昏或昏倒", dimension: "躯体化" },
-  { id: 5, text: "对异性的兴趣减退", dimension: "人际关系敏感" },
-  { id: 6, text: "对旁人责骂求全", dimension: "敌对" },
-  { id: 7, text: "感到别人能控制您的思想", dimension: "偏执" },
-  { id: 8, text: "责怪别人制造麻烦", dimension: "敌对" },
-  { id: 9, text: "忘性大", dimension: "强迫症状" },
-  { id: 10, text: "担心自己的衣饰整齐及仪态的端正", dimension: "强迫症状" },
-  { id: 11, text: "容易烦恼和激动", dimension: "敌对" },
-  { id: 12, text: "胸痛", dimension: "躯体化" },
-  { id: 13, text: "害怕空旷的场所或街道", dimension: "恐怖" },
-  { id: 14, text: "感到自己的精力下降，活动减慢", dimension: "抑郁" },
-  { id: 15, text: "想结束自己的生命", dimension: "抑郁" },
-  { id: 16, text: "听到旁人所听不到的声音", dimension: "精神病性" },
-  { id: 17, text: "发抖", dimension: "焦虑" },
-  { id: 18, text: "感到大多数人都不可信任", dimension: "人际关系敏感" },
-  { id: 19, text: "胃口不好", dimension: "躯体化" },
-  { id: 20, text: "容易哭泣", dimension: "抑郁" },
-  { id: 21, text: "同异性相处时感到害羞不自在", dimension: "人际关系敏感" },
-  { id: 22, text: "感到受骗，中了圈套或有人想抓您", dimension: "偏执" },
-  { id: 23, text: "无缘无故地突然感到害怕", dimension: "恐怖" },
-  { id: 24, text: "自己不能控制地发脾气", dimension: "敌对" },
-  { id: 25, text: "怕单独出门", dimension: "恐怖" },
-  { id: 26, text: "经常责怪自己", dimension: "抑郁" },
-  { id: 27, text: "腰痛", dimension: "躯体化" },
-  { id: 28, text: "感到难以完成任务", dimension: "强迫症状" },
-  { id: 29, text: "感到孤独", dimension: "人际关系敏感" },
-  { id: 30, text: "感到苦闷", dimension: "抑郁" },
-  { id: 31, text: "过分担忧", dimension: "焦虑" },
-  { id: 32, text: "对事物不感兴趣", dimension: "抑郁" },
-  { id: 33, text: "感到害怕", dimension: "恐怖" },
-  { id: 34, text: "您的感情容易受到伤害", dimension: "人际关系敏感" },
-  { id: 35, text: "旁人能知道您的私下想法", dimension: "精神病性" },
-  { id: 36, text: "感到别人不理解您、不同情您", dimension: "人际关系敏感" },
-  { id: 37, text: "感到人们对您不友好，不喜欢您", dimension: "人际关系敏感" },
-  { id: 38, text: "做事必须做得很慢以保证做得正确", dimension: "强迫症状" },
-  { id: 39, text: "心跳得很厉害", dimension: "焦虑" },
-  { id: 40, text: "恶心或胃部不舒服", dimension: "躯体化" },
-  { id: 41, text: "感到比不上别人", dimension: "人际关系敏感" },
-  { id: 42, text: "肌肉酸痛", dimension: "躯体化" },
-  { id: 43, text: "感到有人在监视您、谈论您", dimension: "偏执" },
-  { id: 44, text: "难以入睡", dimension: "抑郁" },
-  { id: 45, text: "做事必须反复检查", dimension: "强迫症状" },
-  { id: 46, text: "难以作出决定", dimension: "强迫症状" },
-  { id: 47, text: "怕乘电车、公共汽车、地铁或火车", dimension: "恐怖" },
-  { id: 48, text: "呼吸有困难", dimension: "焦虑" },
-  { id: 49, text: "一阵阵发冷或发热", dimension: "焦虑" },
-  { id: 50, text: "因为感到害怕而避开某些东西、场合或活动", dimension: "恐怖" },
-  { id: 51, text: "脑子变空了", dimension: "精神病性" },
-  { id: 52, text: "身体发麻或刺痛", dimension: "躯体化" },
-  { id: 53, text: "喉咙有梗塞感", dimension: "躯体化" },
-  { id: 54, text: "感到前途没有希望", dimension: "抑郁" },
-  { id: 55, text: "不能集中注意力", dimension: "强迫症状" },
-  { id: 56, text: "感到身体的某一部分软弱无力", dimension: "躯体化" },
-  { id: 57, text: "感到紧张或容易紧张", dimension: "焦虑" },
-  { id: 58, text: "感到手或脚发重", dimension: "躯体化" },
-  { id: 59, text: "想到死亡的事", dimension: "抑郁" },
-  { id: 60, text: "吃得太多", dimension: "躯体化" },
-  { id: 61, text: "当别人看着您或谈论您时感到不自在", dimension: "人际关系敏感" },
-  { id: 62, text: "有一些不属于您自己的想法", dimension: "精神病性" },
-  { id: 63, text: "有想打人或伤害他人的冲动", dimension: "敌对" },
-  { id: 64, text: "醒得太早", dimension: "抑郁" },
-  { id: 65, text: "必须反复洗手、点数目", dimension: "强迫症状" },
-  { id: 66, text: "睡得不稳不深", dimension: "抑郁" },
-  { id: 67, text: "有想摔坏或破坏东西的想法", dimension: "敌对" },
-  { id: 68, text: "有一些别人没有的想法或念头", dimension: "精神病性" },
-  { id: 69, text: "感到对别人神经过敏", dimension: "人际关系敏感" },
-  { id: 70, text: "在商店或电影院等人多的地方感到不自在", dimension: "恐怖" },
-  { id: 71, text: "感到任何事情都很困难", dimension: "抑郁" },
-  { id: 72, text: "一阵阵恐惧或惊恐", dimension: "恐怖" },
-  { id: 73, text: "感到公共场合吃东西很不舒服", dimension: "恐怖" },
-  { id: 74, text: "经常与人争论", dimension: "敌对" },
-  { id: 75, text: "单独一人时神经很紧张", dimension: "焦虑" },
-  { id: 76, text: "别人对您的成绩没有作出恰当的评价", dimension: "偏执" },
-  { id: 77, text: "即使和别人在一起也感到孤单", dimension: "人际关系敏感" },
-  { id: 78, text: "感到坐立不安心神不定", dimension: "焦虑" },
-  { id: 79, text: "感到自己没有什么价值", dimension: "抑郁" },
-  { id: 80, text: "感到熟悉的东西变成陌生或不真实", dimension: "精神病性" },
-  { id: 81, text: "大叫或摔东西", dimension: "敌对" },
-  { id: 82, text: "害怕会在公共场合昏倒", dimension: "恐怖" },
-  { id: 83, text: "感到别人想占您的便宜", dimension: "偏执" },
-  { id: 84, text: "为一些有关性的想法而很苦恼", dimension: "精神病性" },
-  { id: 85, text: "您认为应该因为自己的过错而受到惩罚", dimension: "精神病性" },
-  { id: 86, text: "感到要赶快把事情做完", dimension: "强迫症状" },
-  { id: 87, text: "感到自己的身体有严重问题", dimension: "躯体化" },
-  { id: 88, text: "从未感到和其他人很亲近", dimension: "人际关系敏感" },
-  { id: 89, text: "感到内疚", dimension: "抑郁" },
-  { id: 90, text: "认为自己的脑子有毛病", dimension: "精神病性" }
+// SCI-90 标准题目文本（90道，按题号顺序）
+const questionItems = [
+  { id: 1, text: "头痛" },
+  { id: 2, text: "神经过敏，心中不踏实" },
+  { id: 3, text: "头脑中有不必要的想法或字句盘旋" },
+  { id: 4, text: "头昏或昏倒" },
+  { id: 5, text: "对异性的兴趣减退" },
+  { id: 6, text: "对旁人责骂求全" },
+  { id: 7, text: "感到别人能控制您的思想" },
+  { id: 8, text: "责怪别人制造麻烦" },
+  { id: 9, text: "忘性大" },
+  { id: 10, text: "担心自己的衣饰整齐及仪态的端正" },
+  { id: 11, text: "容易烦恼和激动" },
+  { id: 12, text: "胸痛" },
+  { id: 13, text: "害怕空旷的场所或街道" },
+  { id: 14, text: "感到自己的精力下降，活动减慢" },
+  { id: 15, text: "想结束自己的生命" },
+  { id: 16, text: "听到旁人所听不到的声音" },
+  { id: 17, text: "发抖" },
+  { id: 18, text: "感到大多数人都不可信任" },
+  { id: 19, text: "胃口不好" },
+  { id: 20, text: "容易哭泣" },
+  { id: 21, text: "同异性相处时感到害羞不自在" },
+  { id: 22, text: "感到受骗，中了圈套或有人想抓您" },
+  { id: 23, text: "无缘无故地突然感到害怕" },
+  { id: 24, text: "自己不能控制地发脾气" },
+  { id: 25, text: "怕单独出门" },
+  { id: 26, text: "经常责怪自己" },
+  { id: 27, text: "腰痛" },
+  { id: 28, text: "感到难以完成任务" },
+  { id: 29, text: "感到孤独" },
+  { id: 30, text: "感到苦闷" },
+  { id: 31, text: "过分担忧" },
+  { id: 32, text: "对事物不感兴趣" },
+  { id: 33, text: "感到害怕" },
+  { id: 34, text: "您的感情容易受到伤害" },
+  { id: 35, text: "旁人能知道您的私下想法" },
+  { id: 36, text: "感到别人不理解您、不同情您" },
+  { id: 37, text: "感到人们对您不友好，不喜欢您" },
+  { id: 38, text: "做事必须做得很慢以保证做得正确" },
+  { id: 39, text: "心跳得很厉害" },
+  { id: 40, text: "恶心或胃部不舒服" },
+  { id: 41, text: "感到比不上别人" },
+  { id: 42, text: "肌肉酸痛" },
+  { id: 43, text: "感到有人在监视您、谈论您" },
+  { id: 44, text: "难以入睡" },
+  { id: 45, text: "做事必须反复检查" },
+  { id: 46, text: "难以作出决定" },
+  { id: 47, text: "怕乘电车、公共汽车、地铁或火车" },
+  { id: 48, text: "呼吸有困难" },
+  { id: 49, text: "一阵阵发冷或发热" },
+  { id: 50, text: "因为感到害怕而避开某些东西、场合或活动" },
+  { id: 51, text: "脑子变空了" },
+  { id: 52, text: "身体发麻或刺痛" },
+  { id: 53, text: "喉咙有梗塞感" },
+  { id: 54, text: "感到前途没有希望" },
+  { id: 55, text: "不能集中注意力" },
+  { id: 56, text: "感到身体的某一部分软弱无力" },
+  { id: 57, text: "感到紧张或容易紧张" },
+  { id: 58, text: "感到手或脚发重" },
+  { id: 59, text: "想到死亡的事" },
+  { id: 60, text: "吃得太多" },
+  { id: 61, text: "当别人看着您或谈论您时感到不自在" },
+  { id: 62, text: "有一些不属于您自己的想法" },
+  { id: 63, text: "有想打人或伤害他人的冲动" },
+  { id: 64, text: "醒得太早" },
+  { id: 65, text: "必须反复洗手、点数目" },
+  { id: 66, text: "睡得不稳不深" },
+  { id: 67, text: "有想摔坏或破坏东西的想法" },
+  { id: 68, text: "有一些别人没有的想法或念头" },
+  { id: 69, text: "感到对别人神经过敏" },
+  { id: 70, text: "在商店或电影院等人多的地方感到不自在" },
+  { id: 71, text: "感到任何事情都很困难" },
+  { id: 72, text: "一阵阵恐惧或惊恐" },
+  { id: 73, text: "感到公共场合吃东西很不舒服" },
+  { id: 74, text: "经常与人争论" },
+  { id: 75, text: "单独一人时神经很紧张" },
+  { id: 76, text: "别人对您的成绩没有作出恰当的评价" },
+  { id: 77, text: "即使和别人在一起也感到孤单" },
+  { id: 78, text: "感到坐立不安心神不定" },
+  { id: 79, text: "感到自己没有什么价值" },
+  { id: 80, text: "感到熟悉的东西变成陌生或不真实" },
+  { id: 81, text: "大叫或摔东西" },
+  { id: 82, text: "害怕会在公共场合昏倒" },
+  { id: 83, text: "感到别人想占您的便宜" },
+  { id: 84, text: "为一些有关性的想法而很苦恼" },
+  { id: 85, text: "您认为应该因为自己的过错而受到惩罚" },
+  { id: 86, text: "感到要赶快把事情做完" },
+  { id: 87, text: "感到自己的身体有严重问题" },
+  { id: 88, text: "从未感到和其他人很亲近" },
+  { id: 89, text: "感到内疚" },
+  { id: 90, text: "认为自己的脑子有毛病" }
 ];
 
-// SCI-90 因子（维度）题目索引
+// SCL-90 标准 10 因子题目索引（唯一的因子定义来源）
+// 键为稳定的因子 ID，结果、常模与统计均以 ID 引用因子，显示名称见 data/locales；
+// 其中 additional（"其他"）为反映睡眠、饮食情况的附加项目，不归入前 9 个症状因子
 export const factorIndices = {
-  躯体化: [1, 4, 12, 27, 40, 42, 48, 49, 53, 56, 58, 60, 87],
-  强迫症状: [3, 9, 10, 28, 38, 45, 46, 51, 55, 65, 86],
-  人际关系敏感: [6, 21, 34, 36, 37, 41, 61, 69, 73, 77, 88],
-  抑郁: [5, 14, 15, 20, 22, 26, 29, 30, 31, 32, 54, 59, 64, 66, 71, 79, 89],
-  焦虑: [2, 17, 23, 33, 39, 57, 72, 75, 78, 80, 86],
-  敌对: [11, 24, 63, 67, 74, 81],
-  恐怖: [13, 25, 47, 50, 70, 82],
-  偏执: [8, 18, 43, 68, 76, 83],
-  精神病性: [7, 16, 35, 62, 84, 85, 87, 90]
+  somatization: [1, 4, 12, 27, 40, 42, 48, 49, 52, 53, 56, 58],
+  obsessiveCompulsive: [3, 9, 10, 28, 38, 45, 46, 51, 55, 65],
+  interpersonalSensitivity: [6, 21, 34, 36, 37, 41, 61, 69, 73],
+  depression: [5, 14, 15, 20, 22, 26, 29, 30, 31, 32, 54, 71, 79],
+  anxiety: [2, 17, 23, 33, 39, 57, 72, 78, 80, 86],
+  hostility: [11, 24, 63, 67, 74, 81],
+  phobicAnxiety: [13, 25, 47, 50, 70, 75, 82],
+  paranoidIdeation: [8, 18, 43, 68, 76, 83],
+  psychoticism: [7, 16, 35, 62, 77, 84, 85, 87, 88, 90],
+  additional: [19, 44, 59, 60, 64, 66, 89]
 };
 
+// 标准 SCL-90 逐题所属因子（第 1-90 题，每行 10 题），与 factorIndices 分开书写、相互核对，
+// 题目归属写错或两题互换时加载即报错
+const SOM = 'somatization', OC = 'obsessiveCompulsive', IS = 'interpersonalSensitivity', DEP = 'depression',
+  ANX = 'anxiety', HOS = 'hostility', PHOB = 'phobicAnxiety', PAR = 'paranoidIdeation', PSY = 'psychoticism',
+  ADD = 'additional';
+const standardItemFactors = Object.freeze([
+  SOM, ANX, OC, SOM, DEP, IS, PSY, PAR, OC, OC,      // 1-10
+  HOS, SOM, PHOB, DEP, DEP, PSY, ANX, PAR, ADD, DEP, // 11-20
+  IS, DEP, ANX, HOS, PHOB, DEP, SOM, OC, DEP, DEP,   // 21-30
+  DEP, DEP, ANX, IS, PSY, IS, IS, OC, ANX, SOM,      // 31-40
+  IS, SOM, PAR, ADD, OC, OC, PHOB, SOM, SOM, PHOB,   // 41-50
+  OC, SOM, SOM, DEP, OC, SOM, ANX, SOM, ADD, ADD,    // 51-60
+  IS, PSY, HOS, ADD, OC, ADD, HOS, PAR, IS, PHOB,    // 61-70
+  DEP, ANX, IS, HOS, PHOB, PAR, PSY, ANX, DEP, ANX,  // 71-80
+  HOS, PHOB, PAR, PSY, PSY, ANX, PSY, PSY, ADD, PSY  // 81-90
+]);
+const standardFactors = new Set(standardItemFactors);
+
+/**
+ * 校验因子定义是否符合标准 SCL-90：
+ * 10 个因子齐全，1-90 每道题恰好出现一次，且归入标准量表中的同一因子
+ * @param {Object} indices - 因子题目索引
+ * @returns {Array} 错误信息列表，为空表示校验通过
+ */
+export function validateFactorIndices(indices = factorIndices) {
+  const errors = [];
+  const seen = new Map();
+
+  for (const factorName of standardFactors) {
+    if (!indices[factorName]) {
+      errors.push(`缺少因子：${factorName}`);
+    }
+  }
+
+  for (const [factorName, items] of Object.entries(indices)) {
+    if (!standardFactors.has(factorName)) {
+      errors.push(`未知因子：${factorName}`);
+    }
+    for (const id of items) {
+      if (!Number.isInteger(id) || id < 1 || id > standardItemFactors.length) {
+        errors.push(`因子"${factorName}"包含无效题号：${id}`);
+      } else if (seen.has(id)) {
+        errors.push(`第 ${id} 题同时属于"${seen.get(id)}"和"${factorName}"`);
+      } else {
+        seen.set(id, factorName);
+        if (standardItemFactors[id - 1] !== factorName) {
+          errors.push(`第 ${id} 题应属于"${standardItemFactors[id - 1]}"，实际归入"${factorName}"`);
+        }
+      }
+    }
+  }
+
+  for (let id = 1; id <= standardItemFactors.length; id++) {
+    if (!seen.has(id)) {
+      errors.push(`第 ${id} 题未归入任何因子`);
+    }
+  }
+
+  return errors;
+}
+
+// 加载时校验，因子定义有误时直接报错，避免按错误的因子计分
+const factorErrors = validateFactorIndices();
+if (factorErrors.length) {
+  throw new Error(`SCL-90 因子定义错误：${factorErrors.join('；')}`);
+}
+
+// 题号 → 所属因子
+const factorByItem = {};
+for (const [factorName, items] of Object.entries(factorIndices)) {
+  for (const id of items) {
+    factorByItem[id] = factorName;
+  }
+}
+
+// SCI-90 标准题目（90道），dimension 为所属因子的 ID，由 factorIndices 推导
+export const questions = questionItems.map(item => ({
+  ...item,
+  dimension: factorByItem[item.id]
+}));
+
 // 答案选项
 export const answerOptions = [
   { value: 1, label: "没有", description: "完全没有这种情况" },
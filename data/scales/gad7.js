@@ -0,0 +1,63 @@
+// 广泛性焦虑量表（GAD-7）
+// 7 题 0-3 分，总分 0-21，5 / 10 / 15 分别为轻度 / 中度 / 重度的分界值
+export const gad7 = {
+  id: 'gad7',
+  version: 1,
+  name: 'GAD-7 焦虑症筛查量表',
+  shortName: 'GAD-7',
+  description: '快速筛查广泛性焦虑症状及其严重程度',
+  timeframe: '过去两周',
+  estimatedMinutes: '2',
+  questions: [
+    { id: 1, text: "感觉紧张、焦虑或急切" },
+    { id: 2, text: "不能够停止或控制担忧" },
+    { id: 3, text: "对各种各样的事情担忧过多" },
+    { id: 4, text: "很难放松下来" },
+    { id: 5, text: "由于不安而无法静坐" },
+    { id: 6, text: "变得容易烦恼或急躁" },
+    { id: 7, text: "感到似乎将有可怕的事情发生而害怕" }
+  ],
+  options: [
+    { value: 0, label: "完全不会", description: "过去两周内没有出现" },
+    { value: 1, label: "好几天", description: "过去两周内有几天出现" },
+    { value: 2, label: "一半以上的天数", description: "过去两周内超过一半的天数出现" },
+    { value: 3, label: "几乎每天", description: "过去两周内几乎每天都出现" }
+  ],
+  scoring: { method: 'sum' },
+
+  // 按总分划分等级，min 为该等级的最低分
+  bands: [
+    {
+      min: 0,
+      level: '无明显',
+      color: '#27ae60',
+      description: '未见明显焦虑症状',
+      advice: '您近期的情绪状态总体良好。继续保持健康的生活方式，学会适时放松。',
+      recommendProfessional: false
+    },
+    {
+      min: 5,
+      level: '轻度',
+      color: '#f39c12',
+      description: '存在轻度焦虑症状',
+      advice: '您近期有一些焦虑症状。建议尝试深呼吸、运动等放松方法，合理安排工作与休息；如持续未见好转，可考虑寻求专业帮助。',
+      recommendProfessional: false
+    },
+    {
+      min: 10,
+      level: '中度',
+      color: '#e67e22',
+      description: '存在中度焦虑症状',
+      advice: '您的焦虑症状已达到中度水平，建议寻求专业心理咨询师或精神科医生的评估与帮助。',
+      recommendProfessional: true
+    },
+    {
+      min: 15,
+      level: '重度',
+      color: '#e74c3c',
+      description: '存在重度焦虑症状',
+      advice: '您的焦虑症状严重，请尽快前往医院精神心理科就诊，接受专业的评估和治疗。',
+      recommendProfessional: true
+    }
+  ]
+};
@@ -0,0 +1,63 @@
+/**
+ * 量表注册表
+ *
+ * 每个量表声明版本号（version）、题目（questions）、选项（options）、因子（factors，可选）、
+ * 计分方式（scoring）、等级划分（bands）、危机条目（criticalItems，可选）
+ * 与用于有效性检查的相近题目对（consistencyPairs，可选）。
+ * 测试流程、Worker 的 /api/questions?scale= 与结果页都由这里的定义驱动，
+ * 新增量表只需添加定义文件并在 scales 中注册。
+ *
+ * 版本：结果中的 scaleVersion 记录计分时使用的版本。修改题目、选项、因子或计分规则时，
+ * 先将旧定义复制到 data/scales/archive/<id>-v<version>.js 并在 archivedScales 中登记，
+ * 再提升 version，以便旧报告仍能按原版本重新计分与解读。
+ *
+ * scoring.method：
+ * - scl90：SCL-90 专用，按因子与常模计分（utils/calculator.js 的 calculateResult）
+ * - sum：各题得分相加
+ * - index：各题得分相加（反向题按 reverse 反转）后乘以 multiplier 取整，即 Zung 标准分
+ */
+
+import { scl90 } from './scl90.js';
+import { sds } from './sds.js';
+import { sas } from './sas.js';
+import { phq9 } from './phq9.js';
+import { gad7 } from './gad7.js';
+
+export const scales = { scl90, sds, sas, phq9, gad7 };
+
+// 默认量表（未指定量表的链接与旧数据）
+export const DEFAULT_SCALE = 'scl90';
+
+// 已停用的旧版本定义，键为 `${id}@${version}`
+const archivedScales = {};
+
+/**
+ * 按 ID 获取量表定义
+ * @param {string} scaleId - 量表 ID，为空时返回默认量表
+ * @param {number|string} version - 可选的版本号（数字字符串按数字比较），未指定时返回当前版本
+ * @returns {Object|null} 量表定义，量表或版本不存在（含非数字的版本号）时返回 null
+ */
+export function getScale(scaleId, version) {
+  const id = scaleId || DEFAULT_SCALE;
+  // 只查找注册的量表，避免 constructor 等 Object.prototype 上的属性名被当作量表
+  const scale = Object.hasOwn(scales, id) ? scales[id] : null;
+  if (!scale || version === undefined || version === null || version === '') {
+    return scale || null;
+  }
+  const number = typeof version === 'number' ? version
+    : typeof version === 'string' && /^\d+$/.test(version) ? Number(version) : NaN;
+  if (number === scale.version) {
+    return scale;
+  }
+  return archivedScales[`${scale.id}@${number}`] || null;
+}
+
+/**
+ * 答案是否为该量表的有效选项
+ * @param {Object} scale - 量表定义
+ * @param {*} answer
+ * @returns {boolean}
+ */
+export function isValidScaleAnswer(scale, answer) {
+  return scale.options.some(option => option.value === answer);
+}
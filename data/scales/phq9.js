@@ -0,0 +1,79 @@
+// 患者健康问卷抑郁量表（PHQ-9）
+// 9 题 0-3 分，总分 0-27，5 / 10 / 15 / 20 分别为轻度 / 中度 / 中重度 / 重度的分界值
+export const phq9 = {
+  id: 'phq9',
+  version: 1,
+  name: 'PHQ-9 抑郁症筛查量表',
+  shortName: 'PHQ-9',
+  description: '快速筛查抑郁症状及其严重程度',
+  timeframe: '过去两周',
+  estimatedMinutes: '2-3',
+  questions: [
+    { id: 1, text: "做事时提不起劲或没有兴趣" },
+    { id: 2, text: "感到心情低落、沮丧或绝望" },
+    { id: 3, text: "入睡困难、睡不安稳或睡眠过多" },
+    { id: 4, text: "感觉疲倦或没有活力" },
+    { id: 5, text: "食欲不振或吃太多" },
+    { id: 6, text: "觉得自己很糟，或觉得自己很失败，或让自己或家人失望" },
+    { id: 7, text: "对事物专注有困难，例如阅读报纸或看电视时" },
+    { id: 8, text: "动作或说话速度缓慢到别人已经察觉；或正好相反，烦躁或坐立不安、动来动去的情况更胜于平常" },
+    { id: 9, text: "有不如死掉或用某种方式伤害自己的念头" }
+  ],
+  options: [
+    { value: 0, label: "完全不会", description: "过去两周内没有出现" },
+    { value: 1, label: "好几天", description: "过去两周内有几天出现" },
+    { value: 2, label: "一半以上的天数", description: "过去两周内超过一半的天数出现" },
+    { value: 3, label: "几乎每天", description: "过去两周内几乎每天都出现" }
+  ],
+  scoring: { method: 'sum' },
+
+  // 按总分划分等级，min 为该等级的最低分
+  bands: [
+    {
+      min: 0,
+      level: '无明显',
+      color: '#27ae60',
+      description: '未见明显抑郁症状',
+      advice: '您近期的情绪状态总体良好。继续保持健康的生活方式，关注自己的情绪变化。',
+      recommendProfessional: false
+    },
+    {
+      min: 5,
+      level: '轻度',
+      color: '#f39c12',
+      description: '存在轻度抑郁症状',
+      advice: '您近期有一些抑郁症状。建议保持规律作息和适度运动，多与信任的人交流；如两周后仍未好转，可考虑寻求专业帮助。',
+      recommendProfessional: false
+    },
+    {
+      min: 10,
+      level: '中度',
+      color: '#e67e22',
+      description: '存在中度抑郁症状',
+      advice: '您的抑郁症状已达到中度水平，建议寻求专业心理咨询师或精神科医生的评估，制定合适的干预方案。',
+      recommendProfessional: true
+    },
+    {
+      min: 15,
+      level: '中重度',
+      color: '#d35400',
+      description: '存在中重度抑郁症状',
+      advice: '您的抑郁症状较为明显，建议尽快前往医院精神心理科就诊，接受专业的评估和治疗。',
+      recommendProfessional: true
+    },
+    {
+      min: 20,
+      level: '重度',
+      color: '#e74c3c',
+      description: '存在重度抑郁症状',
+      advice: '您的抑郁症状严重，请尽快前往医院精神心理科就诊，接受专业的评估和治疗。',
+      recommendProfessional: true
+    }
+  ],
+
+  // 危机条目：第 9 题出现任何程度的自伤 / 轻生念头都需要关注
+  criticalItems: [
+    { itemId: 9, minAnswer: 2, level: 'high' },
+    { itemId: 9, minAnswer: 1, level: 'elevated' }
+  ]
+};
@@ -0,0 +1,83 @@
+// Zung 焦虑自评量表（SAS）
+// 20 题 4 级评分，reverse 为反向计分题；粗分 × 1.25 取整为标准分，中国常模分界值 50 分
+export const sas = {
+  id: 'sas',
+  version: 1,
+  name: 'SAS 焦虑自评量表',
+  shortName: 'SAS',
+  description: '评估近期焦虑情绪的主观感受及其严重程度',
+  timeframe: '最近一周',
+  estimatedMinutes: '5',
+  questions: [
+    { id: 1, text: "我觉得比平常容易紧张和着急" },
+    { id: 2, text: "我无缘无故地感到害怕" },
+    { id: 3, text: "我容易心里烦乱或觉得惊恐" },
+    { id: 4, text: "我觉得我可能将要发疯" },
+    { id: 5, text: "我觉得一切都很好，也不会发生什么不幸", reverse: true },
+    { id: 6, text: "我手脚发抖打颤" },
+    { id: 7, text: "我因为头痛、颈痛和背痛而苦恼" },
+    { id: 8, text: "我感觉容易衰弱和疲乏" },
+    { id: 9, text: "我觉得心平气和，并且容易安静坐着", reverse: true },
+    { id: 10, text: "我觉得心跳得很快" },
+    { id: 11, text: "我因为一阵阵头晕而苦恼" },
+    { id: 12, text: "我有晕倒发作或觉得要晕倒似的" },
+    { id: 13, text: "我呼气吸气都感到很容易", reverse: true },
+    { id: 14, text: "我手脚麻木和刺痛" },
+    { id: 15, text: "我因为胃痛和消化不良而苦恼" },
+    { id: 16, text: "我常常要小便" },
+    { id: 17, text: "我的手常常是干燥温暖的", reverse: true },
+    { id: 18, text: "我脸红发热" },
+    { id: 19, text: "我容易入睡并且一夜睡得很好", reverse: true },
+    { id: 20, text: "我做噩梦" }
+  ],
+  options: [
+    { value: 1, label: "很少", description: "没有或很少时间有这种感觉" },
+    { value: 2, label: "有时", description: "小部分时间有这种感觉" },
+    { value: 3, label: "经常", description: "相当多时间有这种感觉" },
+    { value: 4, label: "持续", description: "绝大部分或全部时间有这种感觉" }
+  ],
+  scoring: { method: 'index', multiplier: 1.25 },
+
+  // 按标准分划分等级，min 为该等级的最低分
+  bands: [
+    {
+      min: 0,
+      level: '无明显',
+      color: '#27ae60',
+      description: '未见明显焦虑情绪',
+      advice: '您近期的情绪状态总体良好。继续保持规律的作息和适度的运动，学会适时放松。',
+      recommendProfessional: false
+    },
+    {
+      min: 50,
+      level: '轻度',
+      color: '#f39c12',
+      description: '存在轻度焦虑情绪',
+      advice: '您近期存在一定的紧张和焦虑。建议尝试深呼吸、运动等放松方法，合理安排工作与休息；如持续未见好转，可考虑寻求专业帮助。',
+      recommendProfessional: false
+    },
+    {
+      min: 60,
+      level: '中度',
+      color: '#e67e22',
+      description: '存在中度焦虑情绪',
+      advice: '您的焦虑情绪已对生活造成一定影响，建议尽快寻求专业心理咨询师或精神科医生的评估与帮助。',
+      recommendProfessional: true
+    },
+    {
+      min: 70,
+      level: '重度',
+      color: '#e74c3c',
+      description: '存在重度焦虑情绪',
+      advice: '您的焦虑情绪较为严重，请尽快前往医院精神心理科就诊，接受专业的评估和治疗。',
+      recommendProfessional: true
+    }
+  ],
+
+  // 一致性检查：内容相近的正向 / 反向题目对（utils/validity.js）
+  consistencyPairs: [
+    [1, 9],    // 容易紧张和着急 / 心平气和
+    [2, 3],    // 无缘无故地感到害怕 / 容易心里烦乱或觉得惊恐
+    [2, 5]     // 无缘无故地感到害怕 / 一切都很好，也不会发生什么不幸
+  ]
+};
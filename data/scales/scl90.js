@@ -0,0 +1,34 @@
+import { questions, factorIndices, answerOptions } from '../questions.js';
+
+// SCL-90 症状自评量表（计分见 utils/calculator.js 的 calculateResult，常模见 utils/norms.js）
+export const scl90 = {
+  id: 'scl90',
+  version: 1,
+  name: 'SCL-90 症状自评量表',
+  shortName: 'SCL-90',
+  description: '从躯体化、强迫、抑郁、焦虑等 10 个方面全面评估近期的心理健康状况',
+  timeframe: '最近一周',
+  estimatedMinutes: '15-20',
+  questions,
+  options: answerOptions,
+  factors: factorIndices,
+  scoring: { method: 'scl90' },
+
+  // 危机条目：itemId 题的答案 ≥ minAnswer 时触发对应级别的安全预警
+  criticalItems: [
+    { itemId: 15, minAnswer: 4, level: 'high' },      // 想结束自己的生命：偏重 / 严重
+    { itemId: 15, minAnswer: 2, level: 'elevated' },  // 想结束自己的生命：很轻 / 中等
+    { itemId: 59, minAnswer: 3, level: 'elevated' }   // 想到死亡的事：中等及以上
+  ],
+
+  // 一致性检查：内容相近的题目对（utils/validity.js）
+  consistencyPairs: [
+    [23, 33],  // 无缘无故地突然感到害怕 / 感到害怕
+    [29, 77],  // 感到孤独 / 即使和别人在一起也感到孤单
+    [24, 81],  // 自己不能控制地发脾气 / 大叫或摔东西
+    [44, 66],  // 难以入睡 / 睡得不稳不深
+    [41, 79],  // 感到比不上别人 / 感到自己没有什么价值
+    [36, 37],  // 感到别人不理解您 / 感到人们对您不友好
+    [43, 61]   // 感到有人在监视您、谈论您 / 当别人看着您或谈论您时感到不自在
+  ]
+};
@@ -0,0 +1,90 @@
+// Zung 抑郁自评量表（SDS）
+// 20 题 4 级评分，reverse 为反向计分题；粗分 × 1.25 取整为标准分，中国常模分界值 53 分
+export const sds = {
+  id: 'sds',
+  version: 1,
+  name: 'SDS 抑郁自评量表',
+  shortName: 'SDS',
+  description: '评估近期抑郁情绪的主观感受及其严重程度',
+  timeframe: '最近一周',
+  estimatedMinutes: '5',
+  questions: [
+    { id: 1, text: "我觉得闷闷不乐，情绪低沉" },
+    { id: 2, text: "我觉得一天之中早晨最好", reverse: true },
+    { id: 3, text: "我一阵阵哭出来或觉得想哭" },
+    { id: 4, text: "我晚上睡眠不好" },
+    { id: 5, text: "我吃得跟平常一样多", reverse: true },
+    { id: 6, text: "我与异性密切接触时和以往一样感到愉快", reverse: true },
+    { id: 7, text: "我发觉我的体重在下降" },
+    { id: 8, text: "我有便秘的苦恼" },
+    { id: 9, text: "我心跳比平常快" },
+    { id: 10, text: "我无缘无故地感到疲乏" },
+    { id: 11, text: "我的头脑跟平常一样清楚", reverse: true },
+    { id: 12, text: "我觉得经常做的事情并没有困难", reverse: true },
+    { id: 13, text: "我觉得不安而平静不下来" },
+    { id: 14, text: "我对将来抱有希望", reverse: true },
+    { id: 15, text: "我比平常容易生气激动" },
+    { id: 16, text: "我觉得作出决定是容易的", reverse: true },
+    { id: 17, text: "我觉得自己是个有用的人，有人需要我", reverse: true },
+    { id: 18, text: "我的生活过得很有意思", reverse: true },
+    { id: 19, text: "我认为如果我死了别人会生活得好些" },
+    { id: 20, text: "平常感兴趣的事我仍然照样感兴趣", reverse: true }
+  ],
+  options: [
+    { value: 1, label: "很少", description: "没有或很少时间有这种感觉" },
+    { value: 2, label: "有时", description: "小部分时间有这种感觉" },
+    { value: 3, label: "经常", description: "相当多时间有这种感觉" },
+    { value: 4, label: "持续", description: "绝大部分或全部时间有这种感觉" }
+  ],
+  scoring: { method: 'index', multiplier: 1.25 },
+
+  // 按标准分划分等级，min 为该等级的最低分
+  bands: [
+    {
+      min: 0,
+      level: '无明显',
+      color: '#27ae60',
+      description: '未见明显抑郁情绪',
+      advice: '您近期的情绪状态总体良好。继续保持规律的作息和适度的运动，关注自己的情绪变化。',
+      recommendProfessional: false
+    },
+    {
+      min: 53,
+      level: '轻度',
+      color: '#f39c12',
+      description: '存在轻度抑郁情绪',
+      advice: '您近期存在一定的低落情绪。建议多与亲友交流，安排自己喜欢的活动，保持规律作息；如持续两周以上未见好转，可考虑寻求专业帮助。',
+      recommendProfessional: false
+    },
+    {
+      min: 63,
+      level: '中度',
+      color: '#e67e22',
+      description: '存在中度抑郁情绪',
+      advice: '您的抑郁情绪已对生活造成一定影响，建议尽快寻求专业心理咨询师或精神科医生的评估与帮助。',
+      recommendProfessional: true
+    },
+    {
+      min: 73,
+      level: '重度',
+      color: '#e74c3c',
+      description: '存在重度抑郁情绪',
+      advice: '您的抑郁情绪较为严重，请尽快前往医院精神心理科就诊，接受专业的评估和治疗。',
+      recommendProfessional: true
+    }
+  ],
+
+  // 危机条目：第 19 题"我认为如果我死了别人会生活得好些"
+  criticalItems: [
+    { itemId: 19, minAnswer: 4, level: 'high' },
+    { itemId: 19, minAnswer: 2, level: 'elevated' }
+  ],
+
+  // 一致性检查：内容相近的正向 / 反向题目对（utils/validity.js）
+  consistencyPairs: [
+    [1, 18],   // 闷闷不乐 / 生活过得很有意思
+    [5, 7],    // 吃得跟平常一样多 / 体重在下降
+    [6, 20],   // 与异性接触感到愉快 / 感兴趣的事照样感兴趣
+    [12, 16]   // 经常做的事没有困难 / 作出决定是容易的
+  ]
+};
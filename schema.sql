@@ -4,9 +4,12 @@
 -- 用户表
 CREATE TABLE IF NOT EXISTS users (
   token TEXT PRIMARY KEY,              -- 唯一 token（链接中使用）
-  order_id TEXT NOT NULL,              -- 小红书订单号
+  order_id TEXT NOT NULL,              -- 小红书订单号（团体筛查链接为 C<批次ID>-<序号>）
+  scale TEXT DEFAULT 'scl90',          -- 量表: scl90 | sds | sas | phq9 | gad7（定义见 data/scales）
   note TEXT,                           -- 备注
-  status TEXT DEFAULT 'pending',       -- 状态: pending(待测试) | testing(测试中) | completed(已完成)
+  campaign_id INTEGER,                 -- 团体筛查批次（campaigns.id），个人订单为 NULL
+  cohort TEXT,                         -- 批次内分组（如班级、部门）
+  status TEXT DEFAULT 'pending',       -- 状态: pending(待测试) | testing(测试中) | completed(已完成) | voided(已作废)
 
   -- 时间戳
   created_at DATETIME DEFAULT CURRENT_TIMESTAMP,    -- 创建时间
@@ -17,15 +20,61 @@ CREATE TABLE IF NOT EXISTS users (
   device_id TEXT,                                   -- 设备指纹（首次访问的设备）
 
   -- 测试数据
-  progress INTEGER DEFAULT 0,                        -- 当前进度 (0-90)
+  progress INTEGER DEFAULT 0,                        -- 当前进度（已作答题数）
   answers TEXT,                                      -- 答案 (JSON 格式)
-  result TEXT                                        -- 结果 (JSON 格式)
+  answer_times TEXT,                                 -- 每题最后一次作答的时间戳（毫秒，JSON 格式）
+  result TEXT,                                       -- 结果 (JSON 格式)
+
+  -- 安全预警（第 15 / 59 题危机条目，规则见 utils/safety.js）
+  safety_alert TEXT,                                 -- 预警级别: high | elevated，未触发为 NULL
+  safety_followed_up_at DATETIME,                    -- 管理员标记已跟进的时间
+
+  -- 作答有效性（规则见 utils/validity.js）
+  validity_flags TEXT                                -- 异常类型，逗号分隔: too_fast | straight_lining | inconsistent，正常为 NULL
+);
+
+-- 已有数据库升级：
+-- ALTER TABLE users ADD COLUMN scale TEXT DEFAULT 'scl90';
+-- ALTER TABLE users ADD COLUMN safety_alert TEXT;
+-- ALTER TABLE users ADD COLUMN safety_followed_up_at DATETIME;
+-- ALTER TABLE users ADD COLUMN campaign_id INTEGER;
+-- ALTER TABLE users ADD COLUMN cohort TEXT;
+-- ALTER TABLE users ADD COLUMN answer_times TEXT;
+-- ALTER TABLE users ADD COLUMN validity_flags TEXT;
+
+-- 机构表（学校、企业等团体筛查客户）
+CREATE TABLE IF NOT EXISTS organizations (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL UNIQUE,            -- 机构名称
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 团体筛查批次表：一个机构的一次筛查，批次内链接按分组（cohort）发放
+CREATE TABLE IF NOT EXISTS campaigns (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  organization_id INTEGER NOT NULL,     -- 所属机构（organizations.id）
+  name TEXT NOT NULL,                   -- 批次名称（如"2024 秋季新生心理普查"）
+  scale TEXT DEFAULT 'scl90',           -- 量表，批次内所有链接使用同一量表
+  note TEXT,                            -- 备注
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 报告分享表：只登记分享 ID 与有效期，报告内容加密保存在分享链接的 # 片段中（见 utils/share.js），服务器无法读取
+CREATE TABLE IF NOT EXISTS shares (
+  id TEXT PRIMARY KEY,                  -- 分享 ID（分享链接中使用）
+  token TEXT NOT NULL,                  -- 所属测试链接（users.token）
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  expires_at DATETIME NOT NULL,         -- 过期时间
+  revoked_at DATETIME                   -- 撤销时间，未撤销为 NULL
 );
 
--- 管理员表（可选，用于后续扩展）
+-- 管理员表
+-- 添加管理员：INSERT INTO admins (password) VALUES ('<node scripts/hash-admin-password.js <密码> 的输出>');
+-- 从旧版本升级（password 为明文或无盐 SHA-256 十六进制）：不需要停机迁移，用原密码登录一次后自动改写为 PBKDF2；
+-- 也可以立即手动改写：UPDATE admins SET password = '<hash-admin-password.js 的输出>' WHERE id = <管理员 ID>;
 CREATE TABLE IF NOT EXISTS admins (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
-  password TEXT NOT NULL,               -- 管理员密码
+  password TEXT NOT NULL,               -- 管理员密码：pbkdf2-sha256$<迭代次数>$<盐>$<哈希>（见 worker/passwords.js）
   created_at DATETIME DEFAULT CURRENT_TIMESTAMP
 );
 
@@ -33,3 +82,7 @@ CREATE TABLE IF NOT EXISTS admins (
 CREATE INDEX IF NOT EXISTS idx_users_order_id ON users(order_id);
 CREATE INDEX IF NOT EXISTS idx_users_status ON users(status);
 CREATE INDEX IF NOT EXISTS idx_users_device_id ON users(device_id);
+CREATE INDEX IF NOT EXISTS idx_users_safety_alert ON users(safety_alert);
+CREATE INDEX IF NOT EXISTS idx_users_campaign_id ON users(campaign_id);
+CREATE INDEX IF NOT EXISTS idx_campaigns_organization_id ON campaigns(organization_id);
+CREATE INDEX IF NOT EXISTS idx_shares_token ON shares(token);
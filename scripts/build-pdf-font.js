@@ -0,0 +1,52 @@
+/**
+ * 生成 PDF 报告使用的中文字体子集（assets/fonts/NotoSansSC-Regular.subset.ttf）
+ *
+ * 用法：node scripts/build-pdf-font.js <NotoSansSC-Regular.ttf 路径>
+ *
+ * 子集包含页面、量表、语言包与 utils 中出现的全部字符，以及可打印 ASCII 和浏览器格式化日期时间会用到的字符。
+ * 修改题目、语言包或报告文字后需重新生成，test/pdf.test.js 会检查报告中绘制的字符都在子集内。
+ * 源字体需为 TrueType 轮廓（glyf）的 Noto Sans SC，jsPDF 不支持 CFF 轮廓的 OTF。
+ */
+
+import { readFile, readdir, writeFile, mkdir } from 'node:fs/promises';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import subsetFont from 'subset-font';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+const OUTPUT = join(ROOT, 'assets/fonts/NotoSansSC-Regular.subset.ttf');
+
+// 报告文字来源
+const SOURCES = ['index.html', 'data', 'utils'];
+
+// toLocaleString 在 zh-CN / zh-TW 下输出的上午、下午等字符
+const EXTRA_CHARACTERS = '上午下午年月日时時分秒星期一二三四五六日';
+
+async function listFiles(path) {
+  const entries = await readdir(path, { withFileTypes: true }).catch(() => null);
+  if (!entries) return [path];
+  const files = await Promise.all(entries.map(entry => listFiles(join(path, entry.name))));
+  return files.flat().filter(file => /\.(js|html)$/.test(file));
+}
+
+const source = process.argv[2];
+if (!source) {
+  console.error('用法：node scripts/build-pdf-font.js <NotoSansSC-Regular.ttf 路径>');
+  process.exit(1);
+}
+
+const files = (await Promise.all(SOURCES.map(path => listFiles(join(ROOT, path))))).flat();
+const characters = new Set(EXTRA_CHARACTERS);
+for (let code = 0x20; code < 0x7f; code++) {
+  characters.add(String.fromCharCode(code));
+}
+for (const file of files) {
+  for (const char of await readFile(file, 'utf8')) {
+    if (char.codePointAt(0) >= 0x80) characters.add(char);
+  }
+}
+
+const subset = await subsetFont(await readFile(source), [...characters].join(''), { targetFormat: 'truetype' });
+await mkdir(dirname(OUTPUT), { recursive: true });
+await writeFile(OUTPUT, subset);
+console.log(`${characters.size} 个字符，${(subset.length / 1024).toFixed(0)} KB → ${OUTPUT}`);
@@ -0,0 +1,16 @@
+/**
+ * 生成 admins.password 中保存的管理员密码哈希
+ *
+ * 用法：node scripts/hash-admin-password.js <密码>
+ * 输出 pbkdf2-sha256$... 格式的哈希，写入方式见 schema.sql 中 admins 表的注释。
+ */
+
+import { hashPassword } from '../worker/passwords.js';
+
+const password = process.argv[2];
+if (!password) {
+  console.error('用法：node scripts/hash-admin-password.js <密码>');
+  process.exit(1);
+}
+
+console.log(await hashPassword(password));
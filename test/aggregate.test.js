@@ -0,0 +1,81 @@
+/**
+ * 团体筛查汇总测试：小样本抑制不能被合计或"整体减去可见分组"反推
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { aggregateByCohort, MIN_GROUP_SIZE, suppressSmallCells } from '../utils/aggregate.js';
+import { calculateScaleResult } from '../utils/calculator.js';
+
+const normal = calculateScaleResult('scl90', Array(90).fill(1));
+const severe = calculateScaleResult('scl90', Array(90).fill(5));
+
+function rows(cohort, results) {
+  return results.map(result => ({ cohort, result }));
+}
+
+/**
+ * 整体各计数单元格减去可见分组后的人数（可见分组的单元格被抑制时无法相减，返回 null）
+ */
+function remainders(overallCounts, visibleCounts) {
+  return overallCounts.map((count, i) => {
+    if (count === null || visibleCounts.some(counts => counts[i] === null)) return null;
+    return count - visibleCounts.reduce((sum, counts) => sum + counts[i], 0);
+  });
+}
+
+function assertNoSmallRemainder(overallCounts, visibleCounts, label) {
+  for (const remainder of remainders(overallCounts, visibleCounts)) {
+    assert.ok(remainder === null || remainder === 0 || remainder >= MIN_GROUP_SIZE, `${label}: ${remainder}`);
+  }
+}
+
+describe('suppressSmallCells', () => {
+  it('小单元格及可由合计反推的单元格均被抑制', () => {
+    assert.deepEqual(suppressSmallCells([10, 0, 6]), [10, 0, 6]);
+    assert.deepEqual(suppressSmallCells([10, 0, 3]), [null, 0, null]);
+    assert.deepEqual(suppressSmallCells([10, 2, 3]), [10, null, null]);
+  });
+
+  it('来自被抑制分组的人数较少时同样抑制', () => {
+    assert.deepEqual(suppressSmallCells([10, 0, 6], [5, 0, 1]), [null, 0, null]);
+    assert.deepEqual(suppressSmallCells([10, 0, 6], [5, 0, 0]), [10, 0, 6]);
+  });
+});
+
+describe('aggregateByCohort', () => {
+  it('整体减去可见分组不能反推被抑制分组中的个人', () => {
+    const { overall, cohorts } = aggregateByCohort('scl90', [
+      ...rows('A', [...Array(5).fill(normal), ...Array(5).fill(severe)]),
+      ...rows('B', [severe, normal, normal]),
+      ...rows('C', [normal, normal, normal])
+    ]);
+
+    const [a, b, c] = cohorts;
+    assert.equal(b.suppressed, true);
+    assert.equal(c.suppressed, true);
+    assert.deepEqual(a.riskLevels.map(level => level.count), [5, 0, 0, 5]);
+    assert.equal(overall.completed, 16);
+
+    assertNoSmallRemainder(overall.riskLevels.map(level => level.count), [a.riskLevels.map(level => level.count)], 'riskLevels');
+    assertNoSmallRemainder([overall.safetyAlerts.count], [[a.safetyAlerts.count]], 'safetyAlerts');
+    for (const [factorId, factor] of Object.entries(overall.factors)) {
+      if (factor.bands) {
+        assertNoSmallRemainder(factor.bands.map(band => band.count), [a.factors[factorId].bands.map(band => band.count)], factorId);
+      }
+      if (factor.flagged) {
+        assertNoSmallRemainder([factor.flagged.count], [[a.factors[factorId].flagged.count]], factorId);
+      }
+    }
+    assert.equal(overall.riskLevels[3].count, null);
+  });
+
+  it('没有分组被抑制时整体统计照常输出', () => {
+    const { overall } = aggregateByCohort('scl90', [
+      ...rows('A', Array(5).fill(normal)),
+      ...rows('B', Array(5).fill(severe))
+    ]);
+    assert.deepEqual(overall.riskLevels.map(level => level.count), [5, 0, 0, 5]);
+    assert.equal(overall.safetyAlerts.count, 5);
+  });
+});
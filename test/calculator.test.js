@@ -0,0 +1,457 @@
+/**
+ * 计分引擎测试：用已知答案核对总分、因子均分、阳性项目数、T 分等级与风险等级
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateScaleResult, getRiskLevels, normalizeResult } from '../utils/calculator.js';
+import { getBandIndex, normGroupRules, normGroups, selectNormGroup } from '../utils/norms.js';
+import { getScale, scales } from '../data/scales/index.js';
+import { factorIndices, validateFactorIndices } from '../data/questions.js';
+
+const scl90 = scales.scl90;
+
+/**
+ * SCL-90 答案：默认全部为 value，overrides 为 { 题号: 答案 }
+ */
+function scl90Answers(value, overrides = {}) {
+  const answers = Array(90).fill(value);
+  for (const [id, answer] of Object.entries(overrides)) {
+    answers[id - 1] = answer;
+  }
+  return answers;
+}
+
+/**
+ * 将指定因子的全部题目设为 value
+ */
+function withFactors(answers, factorIds, value) {
+  const result = [...answers];
+  for (const factorId of factorIds) {
+    for (const id of scl90.factors[factorId]) {
+      result[id - 1] = value;
+    }
+  }
+  return result;
+}
+
+/**
+ * 总分恰为 total 的 SCL-90 答案（从全部为 1 开始逐题加分，不触发危机条目）
+ */
+function scl90AnswersWithTotal(total) {
+  const answers = Array(90).fill(1);
+  let remaining = total - 90;
+  for (let i = 0; i < 90 && remaining > 0; i++) {
+    if (i === 14 || i === 58) continue;
+    const add = Math.min(4, remaining);
+    answers[i] += add;
+    remaining -= add;
+  }
+  return answers;
+}
+
+/**
+ * 粗分恰为 raw 的 Zung 量表答案（SDS / SAS）：从症状最轻的作答开始，逐题向症状方向加分
+ */
+function zungAnswersWithRaw(scale, raw) {
+  const answers = scale.questions.map(question => question.reverse ? 4 : 1);
+  let remaining = raw - scale.questions.length;
+  scale.questions.forEach((question, i) => {
+    const add = Math.min(3, remaining);
+    if (add > 0 && !(scale.criticalItems || []).some(rule => rule.itemId === question.id)) {
+      answers[i] += question.reverse ? -add : add;
+      remaining -= add;
+    }
+  });
+  return answers;
+}
+
+/**
+ * 总分恰为 total 的 PHQ-9 / GAD-7 答案（PHQ-9 第 9 题保持为 0）
+ */
+function sumAnswersWithTotal(scale, total) {
+  const critical = new Set((scale.criticalItems || []).map(rule => rule.itemId));
+  let remaining = total;
+  return scale.questions.map(question => {
+    const add = critical.has(question.id) ? 0 : Math.min(3, remaining);
+    remaining -= add;
+    return add;
+  });
+}
+
+describe('SCL-90 计分', () => {
+  it('全部为 1（没有）时总分 90、无阳性项目、各项均在正常范围', () => {
+    const result = calculateScaleResult('scl90', scl90Answers(1));
+
+    assert.equal(result.scale, 'scl90');
+    assert.equal(result.totalScore, 90);
+    assert.equal(result.totalAverage, 1);
+    assert.equal(result.positiveItems, 0);
+    assert.equal(result.positiveAverage, 0);
+    assert.equal(result.norms.group, 'adult');
+    assert.equal(result.norms.total.t, 39.7);
+    assert.equal(result.norms.total.bandIndex, 0);
+    assert.equal(result.factors.somatization.average, 1);
+    assert.equal(result.factors.somatization.t, 42.3);
+    assert.equal(result.factors.additional.t, null);
+    assert.equal(result.factors.additional.bandIndex, 0);
+    assert.equal(result.riskLevel.bandIndex, 0);
+    assert.equal(result.riskLevel.level, '无明显');
+    assert.equal(result.riskLevel.recommendProfessional, false);
+    assert.equal(result.riskLevel.mainIssue, null);
+    assert.equal(result.safetyAlert, null);
+  });
+
+  it('全部为 2（很轻）时按总分 T 分判定为轻度，主要问题为 T 分最高的因子', () => {
+    const result = calculateScaleResult('scl90', scl90Answers(2));
+
+    assert.equal(result.totalScore, 180);
+    assert.equal(result.totalAverage, 2);
+    assert.equal(result.positiveItems, 90);
+    assert.equal(result.positiveAverage, 2);
+    assert.equal(result.norms.total.t, 62.9);
+    assert.equal(result.norms.total.bandIndex, 1);
+    assert.equal(result.norms.positiveItems.t, 85.4);
+    assert.equal(result.norms.positiveItems.bandIndex, 3);
+    assert.equal(result.factors.phobicAnxiety.t, 68.8);
+    assert.equal(result.factors.depression.t, 58.5);
+    assert.equal(result.factors.depression.bandIndex, 0);
+    // 无常模因子按均分界值判定
+    assert.equal(result.factors.additional.bandIndex, 1);
+    assert.equal(result.factors.additional.level, '偏高');
+    assert.equal(result.riskLevel.bandIndex, 1);
+    assert.equal(result.riskLevel.level, '轻度');
+    assert.equal(result.riskLevel.mainIssue, 'phobicAnxiety');
+  });
+
+  it('因子得分与均分按因子题目计算', () => {
+    const answers = withFactors(scl90Answers(1), ['depression'], 4);
+    const result = calculateScaleResult('scl90', answers);
+
+    assert.equal(result.factors.depression.itemCount, 13);
+    assert.equal(result.factors.depression.score, 52);
+    assert.equal(result.factors.depression.average, 4);
+    assert.equal(result.factors.depression.t, 92.4);
+    assert.equal(result.factors.depression.bandIndex, 3);
+    assert.equal(result.factors.anxiety.score, 10);
+    assert.equal(result.factors.anxiety.average, 1);
+    assert.equal(result.totalScore, 129);
+    assert.equal(result.positiveItems, 13);
+    assert.equal(result.positiveAverage, 4);
+  });
+
+  it('单个因子达到中度时，总分正常也判定为轻度', () => {
+    const result = calculateScaleResult('scl90', withFactors(scl90Answers(1), ['depression'], 4));
+
+    assert.equal(result.norms.total.bandIndex, 0);
+    assert.equal(result.riskLevel.bandIndex, 1);
+    assert.equal(result.riskLevel.mainIssue, 'depression');
+  });
+
+  it('三个及以上因子达到中度时判定为重度', () => {
+    const answers = withFactors(scl90Answers(1), ['depression', 'anxiety', 'somatization'], 5);
+    const result = calculateScaleResult('scl90', answers);
+
+    assert.equal(result.totalScore, 230);
+    assert.equal(result.norms.total.bandIndex, 2);
+    assert.equal(result.riskLevel.bandIndex, 3);
+    assert.equal(result.riskLevel.level, '重度');
+    assert.equal(result.riskLevel.recommendProfessional, true);
+  });
+
+  it('总分 T 分达到重度时判定为重度', () => {
+    const result = calculateScaleResult('scl90', scl90Answers(3));
+
+    assert.equal(result.totalScore, 270);
+    assert.equal(result.norms.total.t, 86.1);
+    assert.equal(result.riskLevel.bandIndex, 3);
+  });
+
+  it('风险等级与结果页色条使用同一组总分阈值', () => {
+    const { total } = normGroups.adult;
+    const cutoffs = calculateScaleResult('scl90', scl90Answers(1)).norms.total.cutoffs;
+    assert.deepEqual(cutoffs, [168.72, 207.48, 246.24]);
+
+    cutoffs.forEach((cutoff, i) => {
+      const below = calculateScaleResult('scl90', scl90AnswersWithTotal(Math.floor(cutoff)));
+      const above = calculateScaleResult('scl90', scl90AnswersWithTotal(Math.ceil(cutoff)));
+      assert.equal(below.norms.total.bandIndex, i, `总分 ${Math.floor(cutoff)}`);
+      assert.equal(above.norms.total.bandIndex, i + 1, `总分 ${Math.ceil(cutoff)}`);
+      assert.ok(above.riskLevel.bandIndex >= i + 1);
+      assert.equal(getBandIndex(50 + 10 * (Math.ceil(cutoff) - total.mean) / total.sd), i + 1);
+    });
+  });
+
+  it('按年龄 / 性别选择常模分组，未匹配时使用成人常模', () => {
+    // 测试用的分组：总分常模不同，其余指标与成人常模相同
+    normGroups.youth = { ...normGroups.adult, total: { mean: 150, sd: 40 } };
+    normGroupRules.push({ group: 'youth', minAge: 18, maxAge: 29 });
+    try {
+      assert.equal(selectNormGroup({ age: 20 }), 'youth');
+      assert.equal(selectNormGroup({ age: 40 }), 'adult');
+      assert.equal(selectNormGroup(), 'adult');
+
+      const youth = calculateScaleResult('scl90', scl90Answers(2), { profile: { age: 20, sex: 'female' } });
+      const adult = calculateScaleResult('scl90', scl90Answers(2), { profile: { age: 40 } });
+      assert.equal(youth.norms.group, 'youth');
+      assert.equal(youth.norms.total.t, 57.5);
+      assert.equal(adult.norms.group, 'adult');
+      assert.equal(adult.norms.total.t, 62.9);
+      assert.deepEqual(youth.factors.depression, adult.factors.depression);
+    } finally {
+      normGroupRules.length = 0;
+      delete normGroups.youth;
+    }
+  });
+
+  it('常模分组规则指向不存在的分组时忽略', () => {
+    normGroupRules.push({ group: 'constructor' });
+    try {
+      assert.equal(selectNormGroup({ age: 20 }), 'adult');
+    } finally {
+      normGroupRules.length = 0;
+    }
+  });
+
+  it('风险等级取总分等级与中度因子个数等级中的较高者', () => {
+    // 固定种子的伪随机答案，覆盖各种总分与因子组合
+    let seed = 42;
+    const random = () => (seed = seed * 16807 % 2147483647) / 2147483647;
+    const levels = getRiskLevels('scl90');
+
+    for (let n = 0; n < 200; n++) {
+      const ceiling = 1 + Math.floor(random() * 5);
+      const answers = Array.from({ length: 90 }, () => 1 + Math.floor(random() * ceiling));
+      const result = calculateScaleResult('scl90', answers);
+
+      const moderateFactors = Object.values(result.factors).filter(factor => factor.t !== null && factor.bandIndex >= 2).length;
+      const expected = Math.max(result.norms.total.bandIndex, Math.min(moderateFactors, 3));
+      assert.equal(result.riskLevel.bandIndex, expected);
+      assert.equal(result.riskLevel.level, levels[expected].level);
+      assert.equal(result.norms.total.bandIndex, getBandIndex(result.norms.total.t));
+      assert.equal(result.totalScore, answers.reduce((sum, answer) => sum + answer, 0));
+      assert.equal(result.positiveItems, answers.filter(answer => answer > 1).length);
+    }
+  });
+
+  it('危机条目触发安全预警，取命中规则中最高的级别', () => {
+    assert.equal(calculateScaleResult('scl90', scl90Answers(1, { 15: 2 })).safetyAlert.level, 'elevated');
+    assert.equal(calculateScaleResult('scl90', scl90Answers(1, { 59: 3 })).safetyAlert.level, 'elevated');
+    assert.equal(calculateScaleResult('scl90', scl90Answers(1, { 59: 2 })).safetyAlert, null);
+
+    const alert = calculateScaleResult('scl90', scl90Answers(1, { 15: 4, 59: 3 })).safetyAlert;
+    assert.equal(alert.level, 'high');
+    assert.deepEqual(alert.items.map(item => item.id), [15, 59]);
+    assert.ok(alert.resources.length > 0);
+  });
+
+  it('各语言均列出中国大陆的热线，繁体中文与英文另附其他地区的资源', () => {
+    const answers = scl90Answers(1, { 15: 4 });
+    const resources = locale => calculateScaleResult('scl90', answers, { locale }).safetyAlert.resources;
+    const contacts = locale => resources(locale).map(resource => resource.phone || resource.url);
+    const mainland = ['12356', '400-161-9995', '010-82951332', '120 / 110'];
+
+    assert.deepEqual(contacts('zh-CN'), mainland);
+    assert.deepEqual(contacts('zh-TW'), [...mainland, '1925', '2389-2222', '2852-5222']);
+    assert.deepEqual(contacts('en'), [...mainland, 'https://findahelpline.com']);
+
+    for (const locale of ['zh-CN', 'zh-TW', 'en']) {
+      for (const resource of resources(locale)) {
+        assert.ok(resource.name && resource.hours, `${locale} ${resource.phone || resource.url}`);
+      }
+    }
+    assert.match(calculateScaleResult('scl90', answers, { locale: 'en' }).safetyAlert.message, /local emergency number/);
+  });
+
+  it('按报告语言生成因子名称与等级', () => {
+    const answers = withFactors(scl90Answers(1), ['depression'], 4);
+    const en = calculateScaleResult('scl90', answers, { locale: 'en' });
+    const zh = calculateScaleResult('scl90', answers);
+
+    assert.equal(en.locale, 'en');
+    assert.equal(en.factors.depression.name, 'Depression');
+    assert.equal(en.riskLevel.level, getRiskLevels('scl90', 'en')[1].level);
+    assert.equal(en.totalScore, zh.totalScore);
+    assert.equal(en.riskLevel.bandIndex, zh.riskLevel.bandIndex);
+    // 没有译文的语言退回简体中文
+    assert.equal(calculateScaleResult('scl90', answers, { locale: 'fr' }).locale, 'zh-CN');
+  });
+});
+
+describe('validateFactorIndices', () => {
+  /**
+   * 复制因子定义，changes 为 { 因子 ID: (题号数组) => 新的题号数组 }
+   */
+  function modifiedIndices(changes) {
+    const indices = Object.fromEntries(Object.entries(factorIndices).map(([id, items]) => [id, [...items]]));
+    for (const [id, change] of Object.entries(changes)) {
+      indices[id] = change(indices[id]);
+    }
+    return indices;
+  }
+
+  it('当前因子定义符合标准 SCL-90', () => {
+    assert.deepEqual(validateFactorIndices(), []);
+  });
+
+  it('同一题归入两个因子时报错', () => {
+    const errors = validateFactorIndices(modifiedIndices({ anxiety: items => [...items, 3] }));
+    assert.deepEqual(errors, ['第 3 题同时属于"obsessiveCompulsive"和"anxiety"']);
+  });
+
+  it('两题互换因子时报错（题数与覆盖范围不变）', () => {
+    const errors = validateFactorIndices(modifiedIndices({
+      obsessiveCompulsive: items => items.map(id => id === 3 ? 86 : id),
+      anxiety: items => items.map(id => id === 86 ? 3 : id)
+    }));
+    assert.deepEqual(errors, [
+      '第 86 题应属于"anxiety"，实际归入"obsessiveCompulsive"',
+      '第 3 题应属于"obsessiveCompulsive"，实际归入"anxiety"'
+    ]);
+  });
+
+  it('缺少题目或因子时报错', () => {
+    const missingItem = validateFactorIndices(modifiedIndices({ psychoticism: items => items.filter(id => id !== 90) }));
+    assert.deepEqual(missingItem, ['第 90 题未归入任何因子']);
+
+    const { additional, ...withoutAdditional } = factorIndices;
+    const missingFactor = validateFactorIndices(withoutAdditional);
+    assert.ok(missingFactor.includes('缺少因子：additional'));
+    assert.equal(missingFactor.filter(error => error.endsWith('未归入任何因子')).length, additional.length);
+  });
+
+  it('未知因子与超出范围的题号报错', () => {
+    const errors = validateFactorIndices(modifiedIndices({ sleep: () => [91] }));
+    assert.deepEqual(errors, ['未知因子：sleep', '因子"sleep"包含无效题号：91']);
+  });
+});
+
+describe('按总分等级计分的量表', () => {
+  it('PHQ-9 按 5 / 10 / 15 / 20 分界', () => {
+    const expected = { 0: 0, 4: 0, 5: 1, 9: 1, 10: 2, 14: 2, 15: 3, 19: 3, 20: 4, 24: 4 };
+    for (const [total, bandIndex] of Object.entries(expected)) {
+      const result = calculateScaleResult('phq9', sumAnswersWithTotal(scales.phq9, Number(total)));
+      assert.equal(result.totalScore, Number(total));
+      assert.equal(result.riskLevel.bandIndex, bandIndex, `总分 ${total}`);
+      assert.equal(result.riskLevel.mainIssue, null);
+    }
+
+    const result = calculateScaleResult('phq9', Array(9).fill(3));
+    assert.equal(result.totalScore, 27);
+    assert.equal(result.minScore, 0);
+    assert.equal(result.maxScore, 27);
+    assert.equal(result.bands.length, 5);
+  });
+
+  it('PHQ-9 第 9 题触发安全预警', () => {
+    const answers = [0, 0, 0, 0, 0, 0, 0, 0, 0];
+    assert.equal(calculateScaleResult('phq9', answers).safetyAlert, null);
+    assert.equal(calculateScaleResult('phq9', [...answers.slice(0, 8), 1]).safetyAlert.level, 'elevated');
+    assert.equal(calculateScaleResult('phq9', [...answers.slice(0, 8), 2]).safetyAlert.level, 'high');
+  });
+
+  it('GAD-7 按 5 / 10 / 15 分界', () => {
+    const expected = { 0: 0, 4: 0, 5: 1, 9: 1, 10: 2, 14: 2, 15: 3, 21: 3 };
+    for (const [total, bandIndex] of Object.entries(expected)) {
+      const result = calculateScaleResult('gad7', sumAnswersWithTotal(scales.gad7, Number(total)));
+      assert.equal(result.totalScore, Number(total));
+      assert.equal(result.riskLevel.bandIndex, bandIndex, `总分 ${total}`);
+    }
+  });
+
+  it('SDS 反向计分，粗分 × 1.25 取整为标准分', () => {
+    const least = calculateScaleResult('sds', zungAnswersWithRaw(scales.sds, 20));
+    assert.equal(least.rawScore, 20);
+    assert.equal(least.totalScore, 25);
+    assert.equal(least.minScore, 25);
+    assert.equal(least.maxScore, 100);
+
+    // 全部选 1：10 道反向题各计 4 分
+    const allOnes = calculateScaleResult('sds', Array(20).fill(1));
+    assert.equal(allOnes.rawScore, 50);
+    assert.equal(allOnes.totalScore, 62);
+    assert.equal(allOnes.riskLevel.bandIndex, 1);
+
+    const expected = { 42: [52, 0], 43: [53, 1], 50: [62, 1], 51: [63, 2], 58: [72, 2], 59: [73, 3] };
+    for (const [raw, [score, bandIndex]] of Object.entries(expected)) {
+      const result = calculateScaleResult('sds', zungAnswersWithRaw(scales.sds, Number(raw)));
+      assert.equal(result.rawScore, Number(raw));
+      assert.equal(result.totalScore, score, `粗分 ${raw}`);
+      assert.equal(result.riskLevel.bandIndex, bandIndex, `粗分 ${raw}`);
+    }
+  });
+
+  it('SAS 按标准分 50 / 60 / 70 分界', () => {
+    const allOnes = calculateScaleResult('sas', Array(20).fill(1));
+    assert.equal(allOnes.rawScore, 35);
+    assert.equal(allOnes.totalScore, 43);
+    assert.equal(allOnes.riskLevel.bandIndex, 0);
+
+    const expected = { 39: [48, 0], 40: [50, 1], 47: [58, 1], 48: [60, 2], 55: [68, 2], 56: [70, 3] };
+    for (const [raw, [score, bandIndex]] of Object.entries(expected)) {
+      const result = calculateScaleResult('sas', zungAnswersWithRaw(scales.sas, Number(raw)));
+      assert.equal(result.totalScore, score, `粗分 ${raw}`);
+      assert.equal(result.riskLevel.bandIndex, bandIndex, `粗分 ${raw}`);
+    }
+  });
+
+  it('风险等级列表与量表等级一致', () => {
+    for (const scaleId of ['sds', 'sas', 'phq9', 'gad7']) {
+      assert.deepEqual(getRiskLevels(scaleId).map(level => level.level), scales[scaleId].bands.map(band => band.level));
+    }
+  });
+});
+
+describe('calculateScaleResult', () => {
+  it('量表或版本不存在时抛出异常', () => {
+    assert.throws(() => calculateScaleResult('nope', []), /未知量表/);
+    assert.throws(() => calculateScaleResult('phq9', Array(9).fill(0), { version: 99 }), /未知量表/);
+  });
+
+  it('结果记录量表与版本', () => {
+    const result = calculateScaleResult('gad7', Array(7).fill(0));
+    assert.equal(result.scale, 'gad7');
+    assert.equal(result.scaleVersion, scales.gad7.version);
+    assert.equal(result.locale, 'zh-CN');
+  });
+});
+
+describe('getScale', () => {
+  it('版本号按数字比较，字符串形式的版本号同样有效', () => {
+    assert.equal(getScale('phq9'), scales.phq9);
+    assert.equal(getScale('phq9', scales.phq9.version), scales.phq9);
+    assert.equal(getScale('phq9', String(scales.phq9.version)), scales.phq9);
+    assert.equal(getScale('phq9', 99), null);
+    assert.equal(getScale('phq9', 'x'), null);
+    for (const version of [true, [1], '1.0', ' 1', { valueOf: () => 1 }]) {
+      assert.equal(getScale('phq9', version), null, String(version));
+    }
+    assert.equal(getScale('nope'), null);
+    assert.equal(getScale('constructor'), null);
+    assert.equal(getScale('__proto__'), null);
+  });
+});
+
+describe('normalizeResult', () => {
+  it('旧结果的中文因子名称转换为因子 ID', () => {
+    const legacy = {
+      totalScore: 129,
+      factors: { '抑郁': { score: 52, average: 4, t: 92.4, bandIndex: 3 } },
+      norms: { group: 'adult' },
+      riskLevel: { level: '轻度', mainIssue: '抑郁' }
+    };
+    const result = normalizeResult(legacy);
+
+    assert.equal(result.locale, 'zh-CN');
+    assert.deepEqual(Object.keys(result.factors), ['depression']);
+    assert.equal(result.factors.depression.name, '抑郁');
+    assert.equal(result.factors.depression.average, 4);
+    assert.ok(result.factors.depression.description);
+    assert.equal(result.riskLevel.mainIssue, 'depression');
+  });
+
+  it('当前结构的结果原样返回', () => {
+    const result = calculateScaleResult('scl90', scl90Answers(2));
+    assert.equal(normalizeResult(result), result);
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * Worker API 测试环境
+ *
+ * 用 Miniflare 在本地运行 worker/index.js，不需要网络与 Cloudflare 账号：
+ * - D1 绑定名与数据库 ID 取自 wrangler.toml，与 wrangler dev 一致
+ * - 数据库按 wrangler dev 的 .wrangler/state 目录布局保存在临时目录中，测试结束后删除，不影响本地开发数据
+ * - 每个测试环境新建数据库，执行 schema.sql 并添加一个管理员（密码为 ADMIN_PASSWORD）
+ */
+
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { Miniflare } from 'miniflare';
+import { hashPassword } from '../../worker/passwords.js';
+
+const ROOT = fileURLToPath(new URL('../..', import.meta.url));
+
+export const ADMIN_PASSWORD = 'test-admin';
+
+// 管理后台接口的请求头
+export const ADMIN_HEADERS = { Authorization: `Bearer ${ADMIN_PASSWORD}` };
+
+/**
+ * 读取 wrangler.toml 中的 Worker 入口、兼容日期与 D1 绑定
+ * @returns {Promise<Object>} { main, compatibilityDate, binding, databaseId }
+ */
+async function readWranglerConfig() {
+  const toml = await readFile(join(ROOT, 'wrangler.toml'), 'utf8');
+  const value = key => (toml.match(new RegExp(`^${key}\\s*=\\s*"([^"]*)"`, 'm')) || [])[1];
+  return {
+    main: value('main'),
+    compatibilityDate: value('compatibility_date'),
+    binding: value('binding'),
+    databaseId: value('database_id')
+  };
+}
+
+/**
+ * 执行 schema.sql（去掉注释后按分号拆分为单条语句）
+ */
+async function applySchema(db) {
+  const schema = (await readFile(join(ROOT, 'schema.sql'), 'utf8')).replace(/--.*$/gm, '');
+  const statements = schema.split(';').map(sql => sql.trim()).filter(Boolean);
+  await db.batch(statements.map(sql => db.prepare(sql)));
+}
+
+/**
+ * 创建测试环境
+ * @returns {Promise<Object>} { call, db, dispose }
+ *   call(method, path, { body, headers }) 返回 { status, headers, body }，body 为解析后的 JSON（非 JSON 时为文本）
+ */
+export async function createWorkerEnv() {
+  const config = await readWranglerConfig();
+  const stateDir = await mkdtemp(join(tmpdir(), 'sci90-test-'));
+
+  const mf = new Miniflare({
+    modules: true,
+    modulesRoot: ROOT,
+    scriptPath: join(ROOT, config.main),
+    modulesRules: [{ type: 'ESModule', include: ['**/*.js'] }],
+    compatibilityDate: config.compatibilityDate,
+    d1Databases: { [config.binding]: config.databaseId },
+    d1Persist: join(stateDir, 'v3', 'd1')
+  });
+
+  const db = await mf.getD1Database(config.binding);
+  await applySchema(db);
+  await db.prepare('INSERT INTO admins (password) VALUES (?)')
+    .bind(await hashPassword(ADMIN_PASSWORD))
+    .run();
+
+  async function call(method, path, { body, headers = {} } = {}) {
+    const response = await mf.dispatchFetch(`http://localhost${path}`, {
+      method,
+      headers: body === undefined ? headers : { 'Content-Type': 'application/json', ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    let parsed = text;
+    try {
+      parsed = JSON.parse(text);
+    } catch (e) {
+      // CSV 等非 JSON 响应保留原文
+    }
+    return { status: response.status, headers: response.headers, body: parsed };
+  }
+
+  async function dispose() {
+    await mf.dispose();
+    await rm(stateDir, { recursive: true, force: true });
+  }
+
+  return { call, db, dispose };
+}
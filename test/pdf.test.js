@@ -0,0 +1,128 @@
+/**
+ * PDF 报告排版测试：用 jsPDF 在 Node 中生成各语言的报告，
+ * 确认文字都在页面边界内、逐题作答完整输出、绘制的字符都在内嵌字体子集内
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { jsPDF } from 'jspdf';
+import { buildPdfReport } from '../utils/pdf.js';
+import { calculateScaleResult } from '../utils/calculator.js';
+import { buildReportDetails } from '../utils/report.js';
+import { evaluateValidity } from '../utils/validity.js';
+import { getScale } from '../data/scales/index.js';
+
+const font = await readFile(new URL('../assets/fonts/NotoSansSC-Regular.subset.ttf', import.meta.url));
+
+// 界面文字在 index.html 的 uiMessages 中（对象字面量），取出后按页面中 t() 的规则替换参数
+const html = await readFile(new URL('../index.html', import.meta.url), 'utf8');
+const messagesStart = html.indexOf('{', html.indexOf('const uiMessages = {'));
+const uiMessages = new Function(`return ${html.slice(messagesStart, html.indexOf('\n        };\n', messagesStart) + 10)}`)();
+
+function translator(locale) {
+  return (key, params = {}) => {
+    const text = key.split('.').reduce((value, part) => value[part], uiMessages[locale]);
+    assert.equal(typeof text, 'string', key);
+    return text.replace(/\{(\w+)\}/g, (match, name) => params[name] === undefined ? match : params[name]);
+  };
+}
+
+/**
+ * 与 GET /api/report/:token 相同结构的报告
+ */
+function buildReport(scaleId, answers, locale) {
+  // 每题间隔 1 秒作答，触发作答过快提示
+  const answerTimes = answers.map((_, i) => Date.UTC(2026, 9, 18, 1, 30) + i * 1000);
+  const result = {
+    ...calculateScaleResult(scaleId, answers, { locale }),
+    validity: evaluateValidity(getScale(scaleId), answers, answerTimes, locale),
+    timestamp: '2026-10-18 09:30:00'
+  };
+  return { token: 'k3v9x2m7q8w4', completedAt: result.timestamp, result, ...buildReportDetails(scaleId, answers, result) };
+}
+
+/**
+ * 生成 PDF 并记录每次绘制的文字与所在页、位置、宽度
+ */
+function renderReport(report, locale) {
+  const drawn = [];
+  class RecordingPdf extends jsPDF {
+    constructor(options) {
+      super(options);
+      const text = this.text;
+      this.text = (value, x, y, options = {}) => {
+        const width = this.getTextWidth(value);
+        const left = options.align === 'center' ? x - width / 2 : options.align === 'right' ? x - width : x;
+        drawn.push({ value, page: this.getCurrentPageInfo().pageNumber, left, right: left + width, y, size: this.getFontSize() });
+        return text.call(this, value, x, y, options);
+      };
+    }
+  }
+
+  const doc = buildPdfReport(RecordingPdf, report, {
+    font,
+    t: translator(locale),
+    formatTime: timestamp => new Date(timestamp.replace(' ', 'T')).toLocaleString(locale),
+    generatedAt: '2026-10-18T10:00:00Z'
+  });
+  return { doc, drawn };
+}
+
+const compact = text => String(text).replace(/\s+/g, '');
+
+const cases = [
+  // 全部为 5 分：触发安全预警与作答有效性提示，文字最多
+  { name: 'SCL-90', scale: 'scl90', answers: Array(90).fill(5) },
+  { name: 'SDS', scale: 'sds', answers: Array(20).fill(2) }
+];
+
+for (const locale of ['zh-CN', 'zh-TW', 'en']) {
+  describe(`PDF 报告（${locale}）`, () => {
+    for (const { name, scale, answers } of cases) {
+      const report = buildReport(scale, answers, locale);
+      const { doc, drawn } = renderReport(report, locale);
+
+      it(`${name}：文字不超出页面边界`, () => {
+        const { width, height } = doc.internal.pageSize;
+        for (const item of drawn) {
+          assert.ok(item.left >= 15 && item.right <= width - 15, `横向越界：${item.value}`);
+          assert.ok(item.y >= 10 && item.y + item.size * 0.3528 <= height - 5, `纵向越界：${item.value}`);
+        }
+      });
+
+      it(`${name}：逐题作答完整输出`, () => {
+        const pages = new Map();
+        for (const item of drawn) {
+          pages.set(item.page, (pages.get(item.page) || '') + compact(item.value));
+        }
+        const text = [...pages.values()].join('');
+        for (const group of report.itemsByFactor) {
+          for (const item of group.items) {
+            assert.ok(text.includes(compact(item.text)), `缺少第 ${item.id} 题`);
+          }
+        }
+        assert.ok(doc.getNumberOfPages() >= (report.result.norms ? 6 : 3));
+      });
+
+      it(`${name}：每页都有页码`, () => {
+        const total = doc.getNumberOfPages();
+        const t = translator(locale);
+        for (let page = 1; page <= total; page++) {
+          assert.ok(drawn.some(item => item.page === page && item.value === t('pdf.page', { current: page, total })), `第 ${page} 页缺少页码`);
+        }
+      });
+
+      it(`${name}：字体子集包含全部绘制的字符`, () => {
+        const metadata = doc.getFont().metadata;
+        const missing = new Set();
+        for (const item of drawn) {
+          for (const char of item.value) {
+            if (!/\s/.test(char) && !metadata.characterToGlyph(char.codePointAt(0))) missing.add(char);
+          }
+        }
+        assert.deepEqual([...missing], []);
+      });
+    }
+  });
+}
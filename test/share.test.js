@@ -0,0 +1,109 @@
+/**
+ * 分享链接测试：编码、加密与按分享内容重新计分
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createShareFragment,
+  decodeSharePayload,
+  encodeSharePayload,
+  openShareFragment,
+  parseShareFragment,
+  scoreSharePayload
+} from '../utils/share.js';
+import { calculateScaleResult } from '../utils/calculator.js';
+
+const SHARE_ID = '0123456789abcdef';
+
+function scl90Payload(overrides = {}) {
+  return {
+    scaleId: 'scl90',
+    scaleVersion: 1,
+    locale: 'en',
+    completedAt: 1700000000,
+    expiresAt: 1700604800,
+    fastItems: 0,
+    answers: Array.from({ length: 90 }, (_, i) => (i % 5) + 1),
+    ...overrides
+  };
+}
+
+describe('分享内容编码', () => {
+  it('按选项序号打包答案，SCL-90 共 47 字节', () => {
+    const payload = scl90Payload({ fastItems: 3 });
+    const bytes = encodeSharePayload(payload);
+    assert.equal(bytes.length, 47);
+    assert.deepEqual(decodeSharePayload(bytes), payload);
+  });
+
+  it('支持各量表的选项分值', () => {
+    const payload = scl90Payload({ scaleId: 'phq9', locale: 'zh-TW', answers: [0, 1, 2, 3, 0, 1, 2, 3, 0] });
+    assert.deepEqual(decodeSharePayload(encodeSharePayload(payload)), payload);
+  });
+
+  it('答案或量表无效时抛出 SHARE_INVALID', () => {
+    const cases = [
+      scl90Payload({ scaleId: 'nope' }),
+      scl90Payload({ answers: Array(89).fill(1) }),
+      scl90Payload({ answers: [6, ...Array(89).fill(1)] })
+    ];
+    for (const payload of cases) {
+      assert.throws(() => encodeSharePayload(payload), { code: 'SHARE_INVALID' });
+    }
+
+    const bytes = encodeSharePayload(scl90Payload());
+    assert.throws(() => decodeSharePayload(bytes.slice(0, 40)), { code: 'SHARE_INVALID' });
+  });
+});
+
+describe('分享链接加密', () => {
+  it('密钥附在链接中时可直接解密', async () => {
+    const payload = scl90Payload();
+    const fragment = await createShareFragment(SHARE_ID, payload);
+    const parsed = parseShareFragment(fragment);
+
+    assert.equal(parsed.id, SHARE_ID);
+    assert.equal(parsed.needsPassphrase, false);
+    assert.deepEqual(await openShareFragment(parsed), payload);
+  });
+
+  it('口令模式的链接不含密钥，口令错误时返回 SHARE_PASSPHRASE', async () => {
+    const payload = scl90Payload();
+    const fragment = await createShareFragment(SHARE_ID, payload, { passphrase: 'correct horse' });
+    const parsed = parseShareFragment(fragment);
+
+    assert.equal(fragment.split('.').length, 2);
+    assert.equal(parsed.needsPassphrase, true);
+    await assert.rejects(openShareFragment(parsed, 'wrong'), { code: 'SHARE_PASSPHRASE' });
+    assert.deepEqual(await openShareFragment(parsed, 'correct horse'), payload);
+  });
+
+  it('密文不能挪用到其他分享 ID', async () => {
+    const fragment = await createShareFragment(SHARE_ID, scl90Payload());
+    const moved = fragment.replace(SHARE_ID, 'fedcba9876543210');
+    await assert.rejects(openShareFragment(parseShareFragment(moved)), { code: 'SHARE_INVALID' });
+  });
+
+  it('格式错误的片段解析为 null', () => {
+    for (const hash of ['', '#token=abc', '#share=', '#share=xyz.abc.def', '#share=abc.AAAA.BBBB.CCCC']) {
+      assert.equal(parseShareFragment(hash), null, hash);
+    }
+  });
+});
+
+describe('scoreSharePayload', () => {
+  it('与提交时的计分结果一致，保留原测试时间', () => {
+    const payload = scl90Payload({ fastItems: 50 });
+    const result = scoreSharePayload(payload);
+    const expected = calculateScaleResult('scl90', payload.answers, { locale: 'en' });
+
+    assert.equal(result.totalScore, expected.totalScore);
+    assert.deepEqual(result.factors, expected.factors);
+    assert.deepEqual(result.riskLevel, expected.riskLevel);
+    assert.equal(result.timestamp, '2023-11-14T22:13:20.000Z');
+    assert.equal(result.validity.timing.fastItems, 50);
+    assert.ok(result.validity.flags.some(flag => flag.code === 'too_fast'));
+    assert.equal(scoreSharePayload(scl90Payload()).validity.timing, null);
+  });
+});
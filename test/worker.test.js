@@ -0,0 +1,769 @@
+/**
+ * Worker API 测试：在 Miniflare 中运行 Worker，使用按 schema.sql 新建的本地 D1 数据库
+ */
+
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import { ADMIN_HEADERS, ADMIN_PASSWORD, createWorkerEnv } from './helpers/worker.js';
+import { hashPassword } from '../worker/passwords.js';
+import { calculateScaleResult } from '../utils/calculator.js';
+import { scales } from '../data/scales/index.js';
+
+let env;
+let call;
+
+before(async () => {
+  env = await createWorkerEnv();
+  call = env.call;
+});
+
+after(async () => {
+  await env.dispose();
+});
+
+/**
+ * 生成测试链接，返回 token
+ */
+async function createToken(orderId, scale) {
+  const { body } = await call('POST', '/api/admin/tokens', { body: { orderIds: [orderId], scale }, headers: ADMIN_HEADERS });
+  return body.data.created[0].token;
+}
+
+/**
+ * 生成链接并以 deviceId 完成测试，返回 token
+ */
+async function completeTest(orderId, answers, deviceId = 'device-a', scale) {
+  const token = await createToken(orderId, scale);
+  await call('POST', '/api/verify', { body: { token, deviceId } });
+  const { status } = await call('POST', '/api/submit', { body: { token, deviceId, answers } });
+  assert.equal(status, 200);
+  return token;
+}
+
+/**
+ * 每题间隔 seconds 秒的作答时间
+ */
+function answerTimes(count, seconds) {
+  return Array.from({ length: count }, (_, i) => 1700000000000 + i * seconds * 1000);
+}
+
+/**
+ * 不触发连续相同答案检查的 SCL-90 答案
+ */
+function variedAnswers(value) {
+  return Array.from({ length: 90 }, (_, i) => (i % 2 ? value : 1));
+}
+
+describe('基础路由', () => {
+  it('OPTIONS 预检返回 CORS 头', async () => {
+    const { status, headers } = await call('OPTIONS', '/api/submit');
+    assert.equal(status, 200);
+    assert.equal(headers.get('Access-Control-Allow-Origin'), '*');
+    assert.match(headers.get('Access-Control-Allow-Methods'), /PUT/);
+  });
+
+  it('未知路径返回 404', async () => {
+    const { status, body } = await call('GET', '/api/nope');
+    assert.equal(status, 404);
+    assert.equal(body.error, 'Not found');
+  });
+});
+
+describe('GET /api/questions', () => {
+  it('默认返回 SCL-90 当前版本', async () => {
+    const { status, headers, body } = await call('GET', '/api/questions');
+    assert.equal(status, 200);
+    assert.equal(body.data.id, 'scl90');
+    assert.equal(body.data.version, scales.scl90.version);
+    assert.equal(body.data.locale, 'zh-CN');
+    assert.equal(body.data.questions.length, 90);
+    assert.equal(headers.get('Cache-Control'), 'no-cache');
+    assert.match(headers.get('ETag'), /^"scl90-v\d+-zh-CN-[0-9a-f]{16}"$/);
+  });
+
+  it('If-None-Match 命中时返回 304', async () => {
+    const { headers } = await call('GET', '/api/questions?scale=phq9');
+    const etag = headers.get('ETag');
+
+    const cached = await call('GET', '/api/questions?scale=phq9', { headers: { 'If-None-Match': `W/${etag}` } });
+    assert.equal(cached.status, 304);
+    assert.equal(cached.headers.get('ETag'), etag);
+
+    const other = await call('GET', '/api/questions?scale=gad7', { headers: { 'If-None-Match': etag } });
+    assert.equal(other.status, 200);
+  });
+
+  it('按语言翻译题目，ETag 随语言变化', async () => {
+    const zh = await call('GET', '/api/questions?scale=phq9');
+    const en = await call('GET', '/api/questions?scale=phq9&locale=en');
+    assert.equal(en.body.data.locale, 'en');
+    assert.notEqual(en.body.data.questions[0].text, zh.body.data.questions[0].text);
+    assert.notEqual(en.headers.get('ETag'), zh.headers.get('ETag'));
+  });
+
+  it('量表或版本不存在时返回 UNKNOWN_SCALE', async () => {
+    for (const query of ['scale=nope', 'scale=constructor', 'scale=hasOwnProperty', 'scale=scl90&version=99']) {
+      const { status, body } = await call('GET', `/api/questions?${query}`);
+      assert.equal(status, 404);
+      assert.equal(body.code, 'UNKNOWN_SCALE');
+    }
+  });
+});
+
+describe('测试链接流程', () => {
+  let token;
+
+  before(async () => {
+    token = await createToken('FLOW-1');
+  });
+
+  it('缺少 token 或设备标识时返回 BAD_REQUEST', async () => {
+    const { status, body } = await call('POST', '/api/verify', { body: { token } });
+    assert.equal(status, 400);
+    assert.equal(body.code, 'BAD_REQUEST');
+  });
+
+  it('开始、保存进度与提交时缺少 token 或设备标识返回 BAD_REQUEST', async () => {
+    const requests = [['POST', '/api/start'], ['PUT', '/api/progress'], ['POST', '/api/submit']];
+    const bodies = [{ deviceId: 'device-a' }, { token }, { token: 123, deviceId: 'device-a' }, {}];
+    for (const [method, path] of requests) {
+      for (const body of bodies) {
+        const response = await call(method, path, { body: { ...body, answers: Array(90).fill(1) } });
+        assert.equal(response.status, 400, `${path} ${JSON.stringify(body)}`);
+        assert.equal(response.body.code, 'BAD_REQUEST');
+      }
+    }
+  });
+
+  it('不存在的 token 返回 INVALID_TOKEN', async () => {
+    const { status, body } = await call('POST', '/api/verify', { body: { token: 'missing', deviceId: 'device-a' } });
+    assert.equal(status, 404);
+    assert.equal(body.code, 'INVALID_TOKEN');
+  });
+
+  it('校验前不能开始测试', async () => {
+    const { status, body } = await call('POST', '/api/start', { body: { token, deviceId: 'device-a' } });
+    assert.equal(status, 403);
+    assert.equal(body.code, 'DEVICE_MISMATCH');
+  });
+
+  it('首次访问绑定设备', async () => {
+    const { status, body } = await call('POST', '/api/verify', { body: { token, deviceId: 'device-a' } });
+    assert.equal(status, 200);
+    assert.deepEqual(body.data, { scale: 'scl90', status: 'pending', progress: 0, answers: null, answerTimes: null });
+
+    const user = await env.db.prepare('SELECT device_id, first_access_at FROM users WHERE token = ?').bind(token).first();
+    assert.equal(user.device_id, 'device-a');
+    assert.ok(user.first_access_at);
+  });
+
+  it('其他设备访问返回 DEVICE_MISMATCH', async () => {
+    const { status, body } = await call('POST', '/api/verify', { body: { token, deviceId: 'device-b' } });
+    assert.equal(status, 403);
+    assert.equal(body.code, 'DEVICE_MISMATCH');
+  });
+
+  it('开始测试', async () => {
+    const { body } = await call('POST', '/api/start', { body: { token, deviceId: 'device-a' } });
+    assert.deepEqual(body.data, { status: 'testing' });
+
+    const user = await env.db.prepare('SELECT status FROM users WHERE token = ?').bind(token).first();
+    assert.equal(user.status, 'testing');
+  });
+
+  it('保存进度，重新打开时恢复', async () => {
+    const answers = Array(90).fill(null);
+    answers[0] = 2;
+    answers[1] = 3;
+    const times = [1700000000000, 1700000005000, ...Array(88).fill(null)];
+
+    const saved = await call('PUT', '/api/progress', { body: { token, deviceId: 'device-a', answers, answerTimes: times } });
+    assert.equal(saved.status, 200);
+    assert.deepEqual(saved.body.data, { progress: 2 });
+
+    const { body } = await call('POST', '/api/verify', { body: { token, deviceId: 'device-a' } });
+    assert.equal(body.data.status, 'testing');
+    assert.equal(body.data.progress, 2);
+    assert.deepEqual(body.data.answers, answers);
+    assert.deepEqual(body.data.answerTimes, times);
+  });
+
+  it('进度格式错误时返回 BAD_REQUEST', async () => {
+    for (const answers of [Array(89).fill(null), [6, ...Array(89).fill(null)], 'x']) {
+      const { status, body } = await call('PUT', '/api/progress', { body: { token, deviceId: 'device-a', answers } });
+      assert.equal(status, 400);
+      assert.equal(body.code, 'BAD_REQUEST');
+    }
+  });
+
+  it('答案不完整时拒绝提交', async () => {
+    for (const answers of [Array(89).fill(2), [...Array(89).fill(2), null], [...Array(89).fill(2), 1.5]]) {
+      const { status, body } = await call('POST', '/api/submit', { body: { token, deviceId: 'device-a', answers } });
+      assert.equal(status, 400);
+      assert.equal(body.code, 'INCOMPLETE_ANSWERS');
+    }
+  });
+
+  it('作答的题库版本已无法计分时返回 SCALE_OUTDATED', async () => {
+    for (const scaleVersion of [99, true]) {
+      const { status, body } = await call('POST', '/api/submit', {
+        body: { token, deviceId: 'device-a', answers: Array(90).fill(2), scaleVersion }
+      });
+      assert.equal(status, 409);
+      assert.equal(body.code, 'SCALE_OUTDATED');
+    }
+  });
+
+  it('字符串形式的当前版本号可以提交', async () => {
+    const other = await createToken('ORDER-VERSION-STRING');
+    await call('POST', '/api/verify', { body: { token: other, deviceId: 'device-a' } });
+    const { status, body } = await call('POST', '/api/submit', {
+      body: { token: other, deviceId: 'device-a', answers: variedAnswers(2), scaleVersion: String(scales.scl90.version) }
+    });
+    assert.equal(status, 200);
+    assert.equal(body.data.scaleVersion, scales.scl90.version);
+  });
+
+  it('提交后由服务端计分并保存结果', async () => {
+    const answers = variedAnswers(3);
+    const { status, body } = await call('POST', '/api/submit', {
+      body: { token, deviceId: 'device-a', answers, answerTimes: answerTimes(90, 5), locale: 'en' }
+    });
+    assert.equal(status, 200);
+
+    const expected = calculateScaleResult('scl90', answers, { locale: 'en' });
+    assert.equal(body.data.locale, 'en');
+    assert.equal(body.data.totalScore, expected.totalScore);
+    assert.equal(body.data.positiveItems, expected.positiveItems);
+    assert.deepEqual(body.data.riskLevel, expected.riskLevel);
+    assert.equal(body.data.validity.reliable, true);
+    assert.equal(body.data.validity.timing.medianItemSeconds, 5);
+
+    const user = await env.db.prepare('SELECT status, progress, completed_at, safety_alert, validity_flags FROM users WHERE token = ?')
+      .bind(token)
+      .first();
+    assert.equal(user.status, 'completed');
+    assert.equal(user.progress, 90);
+    assert.ok(user.completed_at);
+    assert.equal(user.safety_alert, null);
+    assert.equal(user.validity_flags, null);
+  });
+
+  it('已完成的链接不能再次作答', async () => {
+    const submit = await call('POST', '/api/submit', { body: { token, deviceId: 'device-a', answers: Array(90).fill(1) } });
+    assert.equal(submit.status, 410);
+    assert.equal(submit.body.code, 'ALREADY_USED');
+
+    const verify = await call('POST', '/api/verify', { body: { token, deviceId: 'device-a' } });
+    assert.equal(verify.body.code, 'ALREADY_USED');
+
+    const progress = await call('PUT', '/api/progress', { body: { token, deviceId: 'device-a', answers: Array(90).fill(null) } });
+    assert.equal(progress.body.code, 'ALREADY_USED');
+  });
+
+  it('GET /api/result 返回保存的报告', async () => {
+    const { status, body } = await call('GET', `/api/result/${token}`);
+    assert.equal(status, 200);
+    assert.equal(body.data.totalScore, calculateScaleResult('scl90', variedAnswers(3)).totalScore);
+    assert.equal(body.data.locale, 'en');
+
+    const missing = await call('GET', '/api/result/missing');
+    assert.equal(missing.status, 404);
+    assert.equal(missing.body.code, 'RESULT_NOT_FOUND');
+  });
+
+  it('GET /api/report 附带逐题作答', async () => {
+    const { status, body } = await call('GET', `/api/report/${token}`);
+    assert.equal(status, 200);
+    assert.equal(body.data.token, token);
+    assert.ok(body.data.completedAt);
+    assert.equal(body.data.result.totalScore, calculateScaleResult('scl90', variedAnswers(3)).totalScore);
+    const items = body.data.itemsByFactor.flatMap(group => group.items);
+    assert.equal(items.length, 90);
+
+    const missing = await call('GET', '/api/report/missing');
+    assert.equal(missing.body.code, 'RESULT_NOT_FOUND');
+  });
+});
+
+describe('提交时的有效性与安全预警', () => {
+  it('未上报作答时间时使用进度同步时保存的时间', async () => {
+    const token = await createToken('VALIDITY-1');
+    const answers = variedAnswers(2);
+    await call('POST', '/api/verify', { body: { token, deviceId: 'device-v' } });
+    await call('PUT', '/api/progress', { body: { token, deviceId: 'device-v', answers, answerTimes: answerTimes(90, 0.2) } });
+
+    const { body } = await call('POST', '/api/submit', { body: { token, deviceId: 'device-v', answers } });
+    assert.deepEqual(body.data.validity.flags.map(flag => flag.code), ['too_fast']);
+
+    const user = await env.db.prepare('SELECT validity_flags FROM users WHERE token = ?').bind(token).first();
+    assert.equal(user.validity_flags, 'too_fast');
+  });
+
+  it('连续相同答案记录在 validity_flags 中', async () => {
+    const token = await completeTest('VALIDITY-2', Array(90).fill(2), 'device-v');
+    const user = await env.db.prepare('SELECT validity_flags FROM users WHERE token = ?').bind(token).first();
+    assert.equal(user.validity_flags, 'straight_lining');
+  });
+
+  it('危机条目触发安全预警，管理员可标记已跟进', async () => {
+    const answers = variedAnswers(2);
+    answers[14] = 4;
+    const token = await completeTest('SAFETY-1', answers, 'device-s');
+
+    const user = await env.db.prepare('SELECT safety_alert FROM users WHERE token = ?').bind(token).first();
+    assert.equal(user.safety_alert, 'high');
+
+    const pending = await call('GET', '/api/admin/users?safety=pending&q=SAFETY-', { headers: ADMIN_HEADERS });
+    assert.deepEqual(pending.body.data.users.map(u => u.token), [token]);
+
+    const followUp = await call('POST', `/api/admin/users/${token}/follow-up`, { headers: ADMIN_HEADERS });
+    assert.equal(followUp.status, 200);
+
+    const after = await call('GET', '/api/admin/users?safety=pending&q=SAFETY-', { headers: ADMIN_HEADERS });
+    assert.equal(after.body.data.total, 0);
+
+    const other = await completeTest('SAFETY-2', variedAnswers(2), 'device-s');
+    const none = await call('POST', `/api/admin/users/${other}/follow-up`, { headers: ADMIN_HEADERS });
+    assert.equal(none.status, 404);
+    assert.equal(none.body.code, 'NO_SAFETY_ALERT');
+  });
+
+  it('其他量表按各自的题目与选项校验并计分', async () => {
+    const answers = [3, 3, 3, 3, 3, 3, 3, 3, 0];
+    const token = await completeTest('PHQ-1', answers, 'device-p', 'phq9');
+    const { body } = await call('GET', `/api/result/${token}`);
+    assert.equal(body.data.scale, 'phq9');
+    assert.equal(body.data.totalScore, 24);
+    assert.equal(body.data.riskLevel.bandIndex, 4);
+
+    const invalid = await createToken('PHQ-2', 'phq9');
+    await call('POST', '/api/verify', { body: { token: invalid, deviceId: 'device-p' } });
+    const rejected = await call('POST', '/api/submit', { body: { token: invalid, deviceId: 'device-p', answers: Array(9).fill(4) } });
+    assert.equal(rejected.body.code, 'INCOMPLETE_ANSWERS');
+  });
+});
+
+describe('GET /api/history', () => {
+  let first;
+  let second;
+  let other;
+
+  before(async () => {
+    first = await completeTest('HISTORY-1', variedAnswers(2), 'device-h');
+    second = await completeTest('HISTORY-2', variedAnswers(3), 'device-h');
+    other = await completeTest('HISTORY-3', variedAnswers(4), 'device-other');
+    // completed_at 精确到秒，错开第一次的完成时间以固定历史记录的顺序
+    await env.db.prepare("UPDATE users SET completed_at = datetime(completed_at, '-1 day') WHERE token = ?").bind(first).run();
+  });
+
+  it('合并本机持有的同一设备链接，返回变化阈值', async () => {
+    const { status, body } = await call('GET', `/api/history/${second}?deviceId=device-h&tokens=${first},${second}`);
+    assert.equal(status, 200);
+    assert.equal(body.data.scale, 'scl90');
+    assert.equal(body.data.entries.length, 2);
+    assert.deepEqual(body.data.entries.map(entry => entry.current), [false, true]);
+    assert.deepEqual(body.data.entries.map(entry => entry.result.totalScore), [135, 180]);
+    assert.ok(body.data.changeThresholds.total > 0);
+    assert.ok(body.data.changeThresholds.factors.depression > 0);
+  });
+
+  it('设备标识相同但不持有对方链接时看不到对方的报告', async () => {
+    const mine = await call('GET', `/api/history/${second}?deviceId=device-h`);
+    assert.deepEqual(mine.body.data.entries.map(entry => entry.result.totalScore), [180]);
+
+    const theirs = await call('GET', `/api/history/${first}?deviceId=device-h&tokens=${first}`);
+    assert.deepEqual(theirs.body.data.entries.map(entry => entry.result.totalScore), [135]);
+  });
+
+  it('提交的链接绑定其他设备时不合并', async () => {
+    const { body } = await call('GET', `/api/history/${second}?deviceId=device-h&tokens=${other},${first}`);
+    assert.deepEqual(body.data.entries.map(entry => entry.result.totalScore), [135, 180]);
+  });
+
+  it('只有绑定的设备可以查看', async () => {
+    const { status, body } = await call('GET', `/api/history/${first}?deviceId=device-other`);
+    assert.equal(status, 403);
+    assert.equal(body.code, 'DEVICE_MISMATCH');
+
+    const missing = await call('GET', '/api/history/missing?deviceId=device-h');
+    assert.equal(missing.body.code, 'INVALID_TOKEN');
+  });
+});
+
+describe('报告分享', () => {
+  let token;
+
+  before(async () => {
+    token = await completeTest('SHARE-1', variedAnswers(2), 'device-share');
+  });
+
+  it('只能为已完成的报告创建分享', async () => {
+    const pending = await createToken('SHARE-2');
+    const { status, body } = await call('POST', '/api/shares', { body: { token: pending } });
+    assert.equal(status, 404);
+    assert.equal(body.code, 'RESULT_NOT_FOUND');
+  });
+
+  it('有效期只能为 1 / 7 / 30 天', async () => {
+    const { status, body } = await call('POST', '/api/shares', { body: { token, expiresInDays: 3 } });
+    assert.equal(status, 400);
+    assert.equal(body.code, 'BAD_REQUEST');
+  });
+
+  it('创建、查询与撤销分享', async () => {
+    const created = await call('POST', '/api/shares', { body: { token, expiresInDays: 1 } });
+    assert.equal(created.status, 200);
+    const { id, status } = created.body.data;
+    assert.match(id, /^[0-9a-f]{16}$/);
+    assert.equal(status, 'active');
+
+    const check = await call('GET', `/api/shares/${id}`);
+    assert.equal(check.status, 200);
+    assert.equal(check.body.data.expires_at, created.body.data.expires_at);
+
+    const list = await call('GET', `/api/shares?token=${token}`);
+    assert.deepEqual(list.body.data.map(share => [share.id, share.status]), [[id, 'active']]);
+
+    const wrongOwner = await call('POST', `/api/shares/${id}/revoke`, { body: { token: 'someone-else' } });
+    assert.equal(wrongOwner.status, 404);
+    const noToken = await call('POST', `/api/shares/${id}/revoke`, { body: {} });
+    assert.equal(noToken.status, 404);
+
+    const revoked = await call('POST', `/api/shares/${id}/revoke`, { body: { token } });
+    assert.equal(revoked.status, 200);
+
+    const gone = await call('GET', `/api/shares/${id}`);
+    assert.equal(gone.status, 410);
+    assert.equal(gone.body.code, 'SHARE_REVOKED');
+  });
+
+  it('过期的分享返回 SHARE_EXPIRED', async () => {
+    const { body } = await call('POST', '/api/shares', { body: { token } });
+    await env.db.prepare("UPDATE shares SET expires_at = datetime('now', '-1 minute') WHERE id = ?").bind(body.data.id).run();
+
+    const { status, body: check } = await call('GET', `/api/shares/${body.data.id}`);
+    assert.equal(status, 410);
+    assert.equal(check.code, 'SHARE_EXPIRED');
+  });
+
+  it('不存在的分享返回 SHARE_NOT_FOUND', async () => {
+    const { status, body } = await call('GET', '/api/shares/0123456789abcdef');
+    assert.equal(status, 404);
+    assert.equal(body.code, 'SHARE_NOT_FOUND');
+  });
+
+  it('管理员可撤销分享，作废原链接后分享同时失效', async () => {
+    const first = (await call('POST', '/api/shares', { body: { token } })).body.data.id;
+    const second = (await call('POST', '/api/shares', { body: { token } })).body.data.id;
+
+    const revoked = await call('POST', `/api/admin/shares/${first}/revoke`, { headers: ADMIN_HEADERS });
+    assert.equal(revoked.status, 200);
+    assert.equal((await call('GET', `/api/shares/${first}`)).body.code, 'SHARE_REVOKED');
+
+    const detail = await call('GET', `/api/admin/users/${token}`, { headers: ADMIN_HEADERS });
+    assert.equal(detail.body.data.shares.find(share => share.id === first).status, 'revoked');
+
+    await call('POST', `/api/admin/users/${token}/void`, { headers: ADMIN_HEADERS });
+    assert.equal((await call('GET', `/api/shares/${second}`)).body.code, 'SHARE_REVOKED');
+  });
+});
+
+describe('管理后台', () => {
+  it('密码错误时返回 UNAUTHORIZED', async () => {
+    for (const headers of [{}, { Authorization: 'Bearer wrong' }, { Authorization: 'test-admin' }]) {
+      const { status, body } = await call('POST', '/api/admin/login', { headers });
+      assert.equal(status, 401);
+      assert.equal(body.code, 'UNAUTHORIZED');
+    }
+
+    const { status } = await call('POST', '/api/admin/login', { headers: ADMIN_HEADERS });
+    assert.equal(status, 200);
+  });
+
+  it('管理员密码以加盐的 PBKDF2 哈希保存', async () => {
+    const { results } = await env.db.prepare('SELECT password FROM admins').all();
+    assert.equal(results.length, 1);
+    assert.match(results[0].password, /^pbkdf2-sha256\$100000\$[0-9a-f]{32}\$[0-9a-f]{64}$/);
+    // 同一密码每次生成的盐不同
+    assert.notEqual(await hashPassword(ADMIN_PASSWORD), await hashPassword(ADMIN_PASSWORD));
+  });
+
+  it('旧版本的明文与 SHA-256 密码登录后改写为 PBKDF2', async () => {
+    const legacySha256 = createHash('sha256').update('legacy-sha').digest('hex');
+    const { meta: shaRow } = await env.db.prepare('INSERT INTO admins (password) VALUES (?)').bind(legacySha256).run();
+    const { meta: plainRow } = await env.db.prepare('INSERT INTO admins (password) VALUES (?)').bind('legacy-plain').run();
+    const login = password => call('POST', '/api/admin/login', { headers: { Authorization: `Bearer ${password}` } });
+    const storedPassword = async id => (await env.db.prepare('SELECT password FROM admins WHERE id = ?').bind(id).first()).password;
+
+    // 不能直接提交保存的 SHA-256 值登录
+    assert.equal((await login(legacySha256)).status, 401);
+
+    for (const [password, id] of [['legacy-sha', shaRow.last_row_id], ['legacy-plain', plainRow.last_row_id]]) {
+      assert.equal((await login(password)).status, 200);
+      const stored = await storedPassword(id);
+      assert.match(stored, /^pbkdf2-sha256\$/);
+      assert.equal((await login(password)).status, 200);
+      assert.equal(await storedPassword(id), stored);
+    }
+    assert.equal((await login('legacy-other')).status, 401);
+
+    await env.db.prepare('DELETE FROM admins WHERE id IN (?, ?)').bind(shaRow.last_row_id, plainRow.last_row_id).run();
+  });
+
+  it('批量生成链接，同一订单不重复生成', async () => {
+    const { body } = await call('POST', '/api/admin/tokens', {
+      body: { orderIds: ['ADMIN-1', ' ADMIN-1 ', 'ADMIN-2', ''], note: '测试', scale: 'gad7' },
+      headers: ADMIN_HEADERS
+    });
+    assert.deepEqual(body.data.created.map(row => [row.order_id, row.scale]), [['ADMIN-1', 'gad7'], ['ADMIN-2', 'gad7']]);
+    assert.match(body.data.created[0].token, /^[0-9a-f]{32}$/);
+
+    const again = await call('POST', '/api/admin/tokens', { body: { orderIds: ['ADMIN-1', 'ADMIN-3'], scale: 'gad7' }, headers: ADMIN_HEADERS });
+    assert.deepEqual(again.body.data.created.map(row => row.order_id), ['ADMIN-3']);
+    assert.deepEqual(again.body.data.skipped.map(row => row.token), [body.data.created[0].token]);
+
+    // 其他量表可以为同一订单生成链接
+    const otherScale = await call('POST', '/api/admin/tokens', { body: { orderIds: ['ADMIN-1'] }, headers: ADMIN_HEADERS });
+    assert.equal(otherScale.body.data.created[0].scale, 'scl90');
+  });
+
+  it('生成链接的参数错误', async () => {
+    const cases = [
+      [{ orderIds: [] }, 'BAD_REQUEST'],
+      [{ orderIds: ['X'], scale: 'nope' }, 'UNKNOWN_SCALE'],
+      [{ orderIds: ['X'], scale: 'constructor' }, 'UNKNOWN_SCALE'],
+      [{ orderIds: ['X'], scale: 'hasOwnProperty' }, 'UNKNOWN_SCALE'],
+      [{ orderIds: Array.from({ length: 201 }, (_, i) => `BULK-${i}`) }, 'BAD_REQUEST']
+    ];
+    for (const [body, code] of cases) {
+      const response = await call('POST', '/api/admin/tokens', { body, headers: ADMIN_HEADERS });
+      assert.equal(response.status, 400);
+      assert.equal(response.body.code, code);
+    }
+  });
+
+  it('按条件搜索链接并分页', async () => {
+    const byOrder = await call('GET', '/api/admin/users?q=ADMIN-', { headers: ADMIN_HEADERS });
+    assert.equal(byOrder.body.data.total, 4);
+
+    const byScale = await call('GET', '/api/admin/users?q=ADMIN-&scale=gad7&limit=2', { headers: ADMIN_HEADERS });
+    assert.equal(byScale.body.data.total, 3);
+    assert.equal(byScale.body.data.users.length, 2);
+
+    const nextPage = await call('GET', '/api/admin/users?q=ADMIN-&scale=gad7&limit=2&offset=2', { headers: ADMIN_HEADERS });
+    assert.equal(nextPage.body.data.users.length, 1);
+
+    const unknownScale = await call('GET', '/api/admin/users?q=ADMIN-&scale=constructor', { headers: ADMIN_HEADERS });
+    assert.equal(unknownScale.body.data.total, 4);
+
+    const completed = await call('GET', '/api/admin/users?status=completed&limit=100', { headers: ADMIN_HEADERS });
+    assert.ok(completed.body.data.users.length > 0);
+    assert.ok(completed.body.data.users.every(user => user.status === 'completed'));
+
+    const flagged = await call('GET', '/api/admin/users?validity=flagged', { headers: ADMIN_HEADERS });
+    assert.ok(flagged.body.data.users.every(user => user.validity_flags));
+  });
+
+  it('链接详情包含答案与结果', async () => {
+    const token = await completeTest('ADMIN-DETAIL', variedAnswers(2), 'device-admin');
+    const { body } = await call('GET', `/api/admin/users/${token}`, { headers: ADMIN_HEADERS });
+    assert.equal(body.data.order_id, 'ADMIN-DETAIL');
+    assert.deepEqual(body.data.answers, variedAnswers(2));
+    assert.equal(body.data.result.totalScore, 135);
+    assert.deepEqual(body.data.shares, []);
+
+    const missing = await call('GET', '/api/admin/users/missing', { headers: ADMIN_HEADERS });
+    assert.equal(missing.status, 404);
+    assert.equal(missing.body.code, 'INVALID_TOKEN');
+  });
+
+  it('解除设备绑定后可在新设备上打开', async () => {
+    const token = await createToken('ADMIN-RESET');
+    await call('POST', '/api/verify', { body: { token, deviceId: 'old-device' } });
+    assert.equal((await call('POST', '/api/verify', { body: { token, deviceId: 'new-device' } })).status, 403);
+
+    const reset = await call('POST', `/api/admin/users/${token}/reset-device`, { headers: ADMIN_HEADERS });
+    assert.equal(reset.status, 200);
+    assert.equal((await call('POST', '/api/verify', { body: { token, deviceId: 'new-device' } })).status, 200);
+  });
+
+  it('作废链接', async () => {
+    const token = await createToken('ADMIN-VOID');
+    const voided = await call('POST', `/api/admin/users/${token}/void`, { headers: ADMIN_HEADERS });
+    assert.equal(voided.status, 200);
+
+    const { status, body } = await call('POST', '/api/verify', { body: { token, deviceId: 'device-a' } });
+    assert.equal(status, 410);
+    assert.equal(body.code, 'LINK_VOIDED');
+  });
+
+  it('重新生成链接：原链接作废，新链接不继承进度', async () => {
+    const token = await createToken('ADMIN-REISSUE');
+    await call('POST', '/api/verify', { body: { token, deviceId: 'device-r' } });
+    await call('PUT', '/api/progress', { body: { token, deviceId: 'device-r', answers: [2, ...Array(89).fill(null)] } });
+
+    const { body } = await call('POST', `/api/admin/users/${token}/reissue`, { headers: ADMIN_HEADERS });
+    assert.equal(body.data.order_id, 'ADMIN-REISSUE');
+    assert.notEqual(body.data.token, token);
+
+    assert.equal((await call('POST', '/api/verify', { body: { token, deviceId: 'device-r' } })).body.code, 'LINK_VOIDED');
+    const fresh = await call('POST', '/api/verify', { body: { token: body.data.token, deviceId: 'device-new' } });
+    assert.equal(fresh.body.data.progress, 0);
+    assert.equal(fresh.body.data.answers, null);
+  });
+
+  it('对不存在的链接操作返回 INVALID_TOKEN', async () => {
+    for (const action of ['reset-device', 'void', 'reissue']) {
+      const { status, body } = await call('POST', `/api/admin/users/missing/${action}`, { headers: ADMIN_HEADERS });
+      assert.equal(status, 404);
+      assert.equal(body.code, 'INVALID_TOKEN');
+    }
+  });
+
+  it('导出 CSV', async () => {
+    const { status, headers, body } = await call('GET', '/api/admin/export?q=ADMIN-DETAIL', { headers: ADMIN_HEADERS });
+    assert.equal(status, 200);
+    assert.match(headers.get('Content-Type'), /^text\/csv/);
+    assert.match(headers.get('Content-Disposition'), /attachment/);
+
+    const [header, row, ...rest] = body.replace(/^﻿/, '').split('\r\n');
+    assert.equal(header.split(',')[0], '订单号');
+    assert.equal(rest.length, 0);
+    const cells = row.split(',');
+    assert.equal(cells[0], 'ADMIN-DETAIL');
+    assert.equal(cells[10], '135');
+    assert.equal(cells[11], calculateScaleResult('scl90', variedAnswers(2)).riskLevel.level);
+  });
+});
+
+describe('团体筛查', () => {
+  let campaign;
+  let created;
+
+  before(async () => {
+    const response = await call('POST', '/api/admin/campaigns', {
+      body: { organization: '测试中学', name: '秋季普查', scale: 'phq9' },
+      headers: ADMIN_HEADERS
+    });
+    campaign = response.body.data;
+  });
+
+  it('创建批次', async () => {
+    assert.equal(campaign.organization, '测试中学');
+    assert.equal(campaign.name, '秋季普查');
+    assert.equal(campaign.scale, 'phq9');
+
+    const cases = [
+      [{ organization: '', name: 'x' }, 'BAD_REQUEST'],
+      [{ organization: '测试中学', name: 'x', scale: 'nope' }, 'UNKNOWN_SCALE'],
+      [{ organization: '测试中学', name: 'x', scale: 'constructor' }, 'UNKNOWN_SCALE']
+    ];
+    for (const [body, code] of cases) {
+      const response = await call('POST', '/api/admin/campaigns', { body, headers: ADMIN_HEADERS });
+      assert.equal(response.status, 400);
+      assert.equal(response.body.code, code);
+    }
+  });
+
+  it('按分组生成链接', async () => {
+    const { body } = await call('POST', `/api/admin/campaigns/${campaign.id}/tokens`, {
+      body: { cohorts: [{ name: '一班', count: 5 }, { name: '二班', count: 2 }] },
+      headers: ADMIN_HEADERS
+    });
+    created = body.data.created;
+    assert.equal(created.length, 7);
+    assert.equal(created[0].order_id, `C${campaign.id}-0001`);
+    assert.equal(created[6].order_id, `C${campaign.id}-0007`);
+    assert.deepEqual([...new Set(created.map(row => row.cohort))], ['一班', '二班']);
+    assert.ok(created.every(row => row.scale === 'phq9'));
+
+    const empty = await call('POST', `/api/admin/campaigns/${campaign.id}/tokens`, { body: { cohorts: [] }, headers: ADMIN_HEADERS });
+    assert.equal(empty.body.code, 'BAD_REQUEST');
+
+    const missing = await call('POST', '/api/admin/campaigns/9999/tokens', { body: { cohorts: [{ name: 'x', count: 1 }] }, headers: ADMIN_HEADERS });
+    assert.equal(missing.status, 404);
+    assert.equal(missing.body.code, 'CAMPAIGN_NOT_FOUND');
+  });
+
+  it('统计完成情况，人数不足的分组不返回统计值', async () => {
+    for (const [i, row] of created.entries()) {
+      if (i === 4) continue;
+      await call('POST', '/api/verify', { body: { token: row.token, deviceId: 'lab-pc' } });
+      await call('POST', '/api/submit', { body: { token: row.token, deviceId: 'lab-pc', answers: [i % 4, 1, 1, 1, 1, 1, 1, 1, 0] } });
+    }
+
+    const { body } = await call('GET', `/api/admin/campaigns/${campaign.id}/stats`, { headers: ADMIN_HEADERS });
+    assert.equal(body.data.campaign.id, campaign.id);
+    assert.deepEqual(body.data.totals, { issued: 7, started: 6, completed: 6, completionRate: 0.857 });
+    assert.deepEqual(body.data.completion.map(row => [row.cohort, row.issued, row.completed]), [['一班', 5, 4], ['二班', 2, 2]]);
+
+    const { overall, cohorts } = body.data.statistics;
+    assert.equal(overall.completed, 6);
+    assert.equal(overall.suppressed, false);
+    assert.deepEqual(Object.fromEntries(cohorts.map(cohort => [cohort.cohort, cohort.suppressed])), { '一班': true, '二班': true });
+
+    const missing = await call('GET', '/api/admin/campaigns/9999/stats', { headers: ADMIN_HEADERS });
+    assert.equal(missing.body.code, 'CAMPAIGN_NOT_FOUND');
+  });
+
+  it('批次列表包含完成率', async () => {
+    const { body } = await call('GET', '/api/admin/campaigns', { headers: ADMIN_HEADERS });
+    const listed = body.data.campaigns.find(row => row.id === campaign.id);
+    assert.deepEqual(
+      [listed.issued, listed.started, listed.completed, listed.completionRate],
+      [7, 6, 6, 0.857]
+    );
+  });
+
+  it('批次链接的历史记录不与同设备的其他报告合并', async () => {
+    const { body } = await call('GET', `/api/history/${created[0].token}?deviceId=lab-pc`);
+    assert.equal(body.data.entries.length, 1);
+    assert.equal(body.data.changeThresholds, null);
+  });
+
+  it('按批次筛选与导出', async () => {
+    const users = await call('GET', `/api/admin/users?campaign=${campaign.id}&limit=100`, { headers: ADMIN_HEADERS });
+    assert.equal(users.body.data.total, 7);
+    assert.ok(users.body.data.users.every(user => user.campaign_id === campaign.id));
+
+    const csv = await call('GET', `/api/admin/export?campaign=${campaign.id}`, { headers: ADMIN_HEADERS });
+    assert.equal(csv.body.trim().split('\r\n').length, 8);
+  });
+
+  it('重新生成的链接保留批次与分组', async () => {
+    const { body } = await call('POST', `/api/admin/users/${created[4].token}/reissue`, { headers: ADMIN_HEADERS });
+    const user = await env.db.prepare('SELECT campaign_id, cohort, order_id FROM users WHERE token = ?').bind(body.data.token).first();
+    assert.deepEqual(user, { campaign_id: campaign.id, cohort: '一班', order_id: created[4].order_id });
+  });
+});
+
+describe('旧版本保存的结果', () => {
+  it('多量表支持前的 SCL-90 结果按原答案重新计分，保留原测试时间', async () => {
+    const answers = variedAnswers(2);
+    await env.db.prepare(
+      "INSERT INTO users (token, order_id, status, answers, result) VALUES ('legacy-token', 'LEGACY', 'completed', ?, ?)"
+    ).bind(JSON.stringify(answers), JSON.stringify({ totalScore: 135, timestamp: '2024-01-01T00:00:00.000Z' })).run();
+
+    const { body } = await call('GET', '/api/result/legacy-token');
+    assert.equal(body.data.scale, 'scl90');
+    assert.equal(body.data.scaleVersion, 1);
+    assert.equal(body.data.totalScore, 135);
+    assert.ok(body.data.norms);
+    assert.equal(body.data.timestamp, '2024-01-01T00:00:00.000Z');
+  });
+
+  it('管理后台读取的结果与用户报告一致', async () => {
+    const { body: user } = await call('GET', '/api/result/legacy-token');
+
+    const detail = await call('GET', '/api/admin/users/legacy-token', { headers: ADMIN_HEADERS });
+    assert.equal(detail.status, 200);
+    assert.deepEqual(detail.body.data.result, user.data);
+
+    const exported = await call('GET', '/api/admin/export?q=LEGACY', { headers: ADMIN_HEADERS });
+    assert.equal(exported.status, 200);
+    const row = exported.body.split('\r\n').find(line => line.startsWith('LEGACY,'));
+    assert.ok(row.includes(`,${user.data.totalScore},${user.data.riskLevel.level},`));
+  });
+});
@@ -0,0 +1,166 @@
+import { getRiskLevels } from './calculator.js';
+import { tScoreBands } from './norms.js';
+import { DEFAULT_LOCALE, getFactorName, getMessages } from '../data/locales/index.js';
+
+/**
+ * 团体筛查的匿名汇总统计
+ *
+ * 只输出群体层面的统计量，不包含任何个人结果。为防止通过小样本反推个人：
+ * - 完成人数少于 MIN_GROUP_SIZE 的分组不输出任何统计
+ * - 人数在 1 ~ MIN_GROUP_SIZE - 1 之间的计数单元格以 null 表示；
+ *   同一分布中只有一个单元格被抑制时，可用总人数反推，因此连同最小的非零单元格一起抑制
+ * - 有分组被抑制时，整体统计减去各可见分组即得被抑制分组的合计，
+ *   因此整体中被抑制分组合计人数在 1 ~ MIN_GROUP_SIZE - 1 之间的单元格同样抑制
+ *
+ * 汇总统计只在管理后台展示，等级与因子名称使用默认语言（简体中文）。
+ */
+
+// 分组与计数单元格的最小人数
+export const MIN_GROUP_SIZE = 5;
+
+// 人数在 1 ~ MIN_GROUP_SIZE - 1 之间
+const isSmallCount = count => count > 0 && count < MIN_GROUP_SIZE;
+
+/**
+ * 抑制分布中的小单元格
+ * @param {Array<number>} counts - 同一分布的各单元格人数（合计为分组人数）
+ * @param {Array<number>} remainders - 可选，各单元格中来自被抑制分组的人数（整体统计时使用）
+ * @returns {Array<number|null>} 被抑制的单元格为 null
+ */
+export function suppressSmallCells(counts, remainders = []) {
+  const hidden = counts.map((count, i) => isSmallCount(count) || isSmallCount(remainders[i]));
+
+  if (hidden.filter(Boolean).length === 1) {
+    let next = -1;
+    counts.forEach((count, i) => {
+      if (!hidden[i] && count > 0 && (next === -1 || count < counts[next])) next = i;
+    });
+    if (next !== -1) hidden[next] = true;
+  }
+
+  return counts.map((count, i) => hidden[i] ? null : count);
+}
+
+/**
+ * 均值与标准差（保留两位小数）
+ */
+function describe(values) {
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+  return {
+    mean: Math.round(mean * 100) / 100,
+    sd: Math.round(Math.sqrt(variance) * 100) / 100
+  };
+}
+
+// 人数占比（保留三位小数），被抑制时为 null
+function toRate(count, total) {
+  return count === null ? null : Math.round(count / total * 1000) / 1000;
+}
+
+/**
+ * 二分类计数（是 / 否），按分布整体抑制
+ * @param {Array} results - 测试结果
+ * @param {Array} hiddenResults - 其中来自被抑制分组的结果
+ * @param {Function} predicate - 判断结果是否计入
+ * @returns {Object} { count, rate }
+ */
+function binaryCell(results, hiddenResults, predicate) {
+  const count = results.filter(predicate).length;
+  const hiddenCount = hiddenResults.filter(predicate).length;
+  const [shown] = suppressSmallCells(
+    [count, results.length - count],
+    [hiddenCount, hiddenResults.length - hiddenCount]
+  );
+  return { count: shown, rate: toRate(shown, results.length) };
+}
+
+/**
+ * 汇总一组测试结果
+ * @param {string} scaleId - 量表 ID，同一组结果必须来自同一量表
+ * @param {Array} results - calculateScaleResult 的结果数组
+ * @param {Array} hiddenResults - 可选，results 中来自被抑制分组的结果，用于防止整体减去可见分组反推
+ * @returns {Object} 人数不足时为 { completed, suppressed: true }；否则为
+ *   { completed, suppressed: false, totalScore: { mean, sd },
+ *     riskLevels: [{ level, color, count, rate }], safetyAlerts: { count, rate }, unreliable: { count, rate },
+ *     factors: { 因子 ID: { name, mean, sd, flagged?: { count, rate }, bands?: [{ level, count, rate }] } } }
+ *   unreliable 为作答有效性存在异常的人数（见 utils/validity.js）；
+ *   flagged 为超出正常范围（bandIndex ≥ 1）的人数；bands 为各 T 分等级的人数，仅有常模的因子提供
+ */
+export function aggregateResults(scaleId, results, hiddenResults = []) {
+  const completed = results.length;
+  if (completed < MIN_GROUP_SIZE) {
+    return { completed, suppressed: true };
+  }
+
+  const riskLevels = getRiskLevels(scaleId);
+  const countLevels = list => riskLevels.map((level, i) => list.filter(result => result.riskLevel.bandIndex === i).length);
+  const levelCounts = countLevels(results);
+  const shownLevelCounts = suppressSmallCells(levelCounts, countLevels(hiddenResults));
+
+  const factors = {};
+  for (const factorId of Object.keys(results[0].factors)) {
+    const values = results.map(result => result.factors[factorId]);
+    const hiddenValues = hiddenResults.map(result => result.factors[factorId]);
+    const factor = { name: getFactorName(factorId, DEFAULT_LOCALE), ...describe(values.map(value => value.average)) };
+
+    if (values[0].bandIndex !== undefined) {
+      factor.flagged = binaryCell(values, hiddenValues, value => value.bandIndex >= 1);
+    }
+    if (values[0].t !== undefined && values[0].t !== null) {
+      const countBands = list => tScoreBands.map((band, i) => list.filter(value => value.bandIndex === i).length);
+      const bandCounts = suppressSmallCells(countBands(values), countBands(hiddenValues));
+      const levels = getMessages(DEFAULT_LOCALE).tScoreLevels;
+      factor.bands = tScoreBands.map((band, i) => ({ level: levels[i], count: bandCounts[i], rate: toRate(bandCounts[i], completed) }));
+    }
+
+    factors[factorId] = factor;
+  }
+
+  return {
+    completed,
+    suppressed: false,
+    totalScore: describe(results.map(result => result.totalScore)),
+    riskLevels: riskLevels.map((level, i) => ({ ...level, count: shownLevelCounts[i], rate: toRate(shownLevelCounts[i], completed) })),
+    safetyAlerts: binaryCell(results, hiddenResults, result => result.safetyAlert),
+    unreliable: binaryCell(results, hiddenResults, result => result.validity && !result.validity.reliable),
+    factors
+  };
+}
+
+/**
+ * 按分组汇总（整体 + 各分组）
+ * 被抑制分组的完成人数合计不足 MIN_GROUP_SIZE 时，可用整体减去其余分组反推，
+ * 因此再抑制完成人数最少的一个可见分组；整体的各单元格按被抑制分组的合计人数再做抑制
+ * @param {string} scaleId - 量表 ID
+ * @param {Array} rows - [{ cohort, result }]
+ * @returns {Object} { overall, cohorts: [{ cohort, ...aggregateResults }] }，分组按名称排序
+ */
+export function aggregateByCohort(scaleId, rows) {
+  const groups = new Map();
+  for (const { cohort, result } of rows) {
+    if (!groups.has(cohort)) groups.set(cohort, []);
+    groups.get(cohort).push(result);
+  }
+
+  const cohorts = [...groups.entries()]
+    .sort(([a], [b]) => String(a).localeCompare(String(b), 'zh-CN'))
+    .map(([cohort, results]) => ({ cohort, ...aggregateResults(scaleId, results) }));
+
+  const hiddenCount = cohorts.filter(group => group.suppressed).reduce((sum, group) => sum + group.completed, 0);
+  const visible = cohorts.filter(group => !group.suppressed);
+  if (hiddenCount > 0 && hiddenCount < MIN_GROUP_SIZE && visible.length) {
+    const smallest = visible.reduce((min, group) => group.completed < min.completed ? group : min);
+    cohorts[cohorts.indexOf(smallest)] = { cohort: smallest.cohort, completed: smallest.completed, suppressed: true };
+  }
+
+  const hiddenCohorts = new Set(cohorts.filter(group => group.suppressed).map(group => group.cohort));
+  return {
+    overall: aggregateResults(
+      scaleId,
+      rows.map(row => row.result),
+      rows.filter(row => hiddenCohorts.has(row.cohort)).map(row => row.result)
+    ),
+    cohorts
+  };
+}
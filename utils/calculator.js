@@ -1,11 +1,98 @@
-import { factorIndices } from '../data/questions.js';
+import { scales, getScale } from '../data/scales/index.js';
+import { DEFAULT_LOCALE, getMessages, localizeScale, locales } from '../data/locales/index.js';
+import { normGroups, selectNormGroup, scoreAgainstNorm, scoreFactor, tScoreBands } from './norms.js';
+import { evaluateSafety } from './safety.js';
 
 /**
- * 计算 SCI-90 测试结果
+ * 按量表定义计算测试结果
+ * 浏览器与 Worker（POST /api/submit）共用
+ * @param {string} scaleId - 量表 ID（见 data/scales）
+ * @param {Array} answers - 用户答案数组，索引0对应第1题
+ * @param {Object} options
+ * @param {Object} options.profile - 可选的年龄 / 性别信息（仅 SCL-90 用于选择常模分组）
+ * @param {number} options.version - 可选的量表版本，重新计分旧报告时使用，未指定时为当前版本
+ * @param {string} options.locale - 报告语言（见 data/locales），默认简体中文
+ * @returns {Object} 计算结果，scale / scaleName / scaleVersion / locale 标明所用量表、版本及语言
+ */
+export function calculateScaleResult(scaleId, answers, { profile = {}, version, locale = DEFAULT_LOCALE } = {}) {
+  const definition = getScale(scaleId, version);
+  if (!definition) {
+    throw new Error(`未知量表：${scaleId}${version ? ` v${version}` : ''}`);
+  }
+
+  // 量表文字没有对应语言的翻译时，整份报告退回简体中文
+  const scale = localizeScale(definition, locale);
+  const result = scale.scoring.method === 'scl90'
+    ? calculateResult(answers, profile, scale, scale.locale)
+    : calculateBandedResult(scale, answers);
+
+  return { scale: scale.id, scaleName: scale.name, scaleVersion: scale.version, locale: scale.locale, ...result };
+}
+
+/**
+ * 按总分等级计分（SDS / SAS / PHQ-9 / GAD-7 等）
+ * @param {Object} scale - 量表定义（已按报告语言生成，见 localizeScale）
  * @param {Array} answers - 用户答案数组，索引0对应第1题
  * @returns {Object} 计算结果
  */
-export function calculateResult(answers) {
+function calculateBandedResult(scale, answers) {
+  const values = scale.options.map(option => option.value);
+  const minValue = Math.min(...values);
+  const maxValue = Math.max(...values);
+  const itemCount = scale.questions.length;
+
+  // 单题得分，反向计分题按选项范围反转
+  const itemScores = scale.questions.map((question, index) =>
+    question.reverse ? minValue + maxValue - answers[index] : answers[index]
+  );
+  const rawScore = itemScores.reduce((sum, score) => sum + score, 0);
+
+  // 粗分换算为报告分数（index 为 Zung 标准分）
+  const { method, multiplier = 1 } = scale.scoring;
+  const toScore = raw => method === 'index' ? Math.floor(raw * multiplier) : raw;
+  const totalScore = toScore(rawScore);
+
+  // 量表声明了因子时计算各因子分
+  const factors = {};
+  for (const [factorId, ids] of Object.entries(scale.factors || {})) {
+    const factorSum = ids.reduce((sum, id) => sum + itemScores[id - 1], 0);
+    factors[factorId] = { name: factorId, score: factorSum, average: factorSum / ids.length, itemCount: ids.length };
+  }
+
+  let bandIndex = 0;
+  scale.bands.forEach((band, i) => {
+    if (totalScore >= band.min) bandIndex = i;
+  });
+  const { min, ...band } = scale.bands[bandIndex];
+
+  return {
+    totalScore,
+    rawScore,
+    minScore: toScore(minValue * itemCount),
+    maxScore: toScore(maxValue * itemCount),
+    factors,
+    bands: scale.bands.map(({ min, level, color }) => ({ min, level, color })),
+    riskLevel: { ...band, bandIndex, mainIssue: null },
+    safetyAlert: evaluateSafety(answers, scale, scale.locale),
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * 计算 SCI-90 测试结果
+ * 浏览器与 Worker（POST /api/submit）共用，不依赖 window 等浏览器对象
+ * @param {Array} answers - 用户答案数组，索引0对应第1题
+ * @param {Object} profile - 可选的年龄 / 性别信息，用于选择常模分组
+ * @param {Object} scale - SCL-90 量表定义，默认为当前版本
+ * @param {string} locale - 报告语言，因子名称、等级与解读按该语言生成
+ * @returns {Object} 计算结果，factors 以因子 ID 为键
+ */
+export function calculateResult(answers, profile = {}, scale = scales.scl90, locale = DEFAULT_LOCALE) {
+  const messages = getMessages(locale);
+  const normGroup = selectNormGroup(profile);
+  const norm = normGroups[normGroup];
+  const withLevel = metric => ({ ...metric, level: messages.tScoreLevels[metric.bandIndex] });
+
   // 计算总分
   const totalScore = answers.reduce((sum, answer) => sum + (answer || 0), 0);
 
@@ -15,191 +102,199 @@ export function calculateResult(answers) {
   // 计算阳性项目数（得分>1的项目数）
   const positiveItems = answers.filter(answer => answer > 1).length;
 
-  // 计算各因子分
+  // 计算阳性症状均分（阳性项目的平均得分）
+  const positiveAverage = positiveItems ? (totalScore - (90 - positiveItems)) / positiveItems : 0;
+
+  // 计算各因子分及标准分
   const factors = {};
-  for (const [factorName, indices] of Object.entries(factorIndices)) {
+  for (const [factorId, indices] of Object.entries(scale.factors)) {
     const factorScores = indices.map(index => answers[index - 1] || 0);
     const factorSum = factorScores.reduce((sum, score) => sum + score, 0);
-    factors[factorName] = {
+    const average = factorSum / indices.length;
+    const { name, description, suggestions } = getFactorText(factorId, messages);
+    factors[factorId] = {
+      name,
       score: factorSum,
-      average: factorSum / indices.length,
-      itemCount: indices.length
+      average,
+      itemCount: indices.length,
+      ...describeFactorScore(factorId, average, normGroup, messages),
+      description,
+      suggestions
     };
   }
 
+  // 总体指标的常模比较
+  const norms = {
+    group: normGroup,
+    label: messages.normGroups[normGroup],
+    total: withLevel(scoreAgainstNorm(totalScore, norm.total)),
+    positiveItems: withLevel(scoreAgainstNorm(positiveItems, norm.positiveItems)),
+    positiveAverage: withLevel(scoreAgainstNorm(positiveAverage, norm.positiveAverage)),
+    bands: tScoreBands.map((band, i) => ({ ...band, level: messages.tScoreLevels[i] }))
+  };
+
   // 确定整体风险等级
-  const riskLevel = determineRiskLevel(totalScore, factors);
+  const riskLevel = determineRiskLevel(norms, factors, messages);
+
+  // 危机条目预警（与风险等级独立判定，命中时结果页优先展示求助信息）
+  const safetyAlert = evaluateSafety(answers, scale, locale);
 
   return {
     totalScore,
     totalAverage,
     positiveItems,
+    positiveAverage,
     factors,
+    norms,
     riskLevel,
+    safetyAlert,
     timestamp: new Date().toISOString()
   };
 }
 
+/**
+ * 因子的显示文字，未登记的因子使用通用解读
+ * @param {string} factorId - 因子 ID
+ * @param {Object} messages - 语言包
+ * @returns {Object} { name, description, highScore, suggestions }
+ */
+function getFactorText(factorId, messages) {
+  return messages.factors[factorId] || { name: factorId, ...messages.defaultFactor };
+}
+
+/**
+ * 因子的常模比较及等级名称
+ * 无常模的因子按均分界值给出"正常 / 偏高"
+ */
+function describeFactorScore(factorId, average, normGroup, messages) {
+  const score = scoreFactor(factorId, average, normGroup);
+  const levels = score.t === null ? messages.unnormedLevels : messages.tScoreLevels;
+  return { ...score, level: levels[score.bandIndex] };
+}
+
+// 风险等级，与 tScoreBands 的等级一一对应，等级名称与建议见语言包的 riskLevels
+const riskLevels = [
+  { color: '#27ae60', recommendProfessional: false },
+  { color: '#f39c12', recommendProfessional: false },
+  { color: '#e67e22', recommendProfessional: true },
+  { color: '#e74c3c', recommendProfessional: true }
+];
+
+/**
+ * 获取量表的风险等级列表，按 bandIndex 排列（团体汇总统计按此顺序计数）
+ * @param {string} scaleId - 量表 ID
+ * @param {string} locale - 等级名称的语言
+ * @returns {Array} [{ level, color }]
+ */
+export function getRiskLevels(scaleId, locale = DEFAULT_LOCALE) {
+  const scale = localizeScale(getScale(scaleId), locale);
+  const levels = scale.scoring.method === 'scl90'
+    ? riskLevels.map((level, i) => ({ ...level, ...getMessages(scale.locale).riskLevels[i] }))
+    : scale.bands;
+  return levels.map(({ level, color }) => ({ level, color }));
+}
+
 /**
  * 确定风险等级
- * @param {number} totalScore - 总分
+ * 取以下两者中较高的等级：
+ * - 总分 T 分所在等级
+ * - T 分 ≥ 70（中度及以上）的因子个数，1 / 2 / 3 个及以上分别对应轻度 / 中度 / 重度
+ * @param {Object} norms - 总体指标的常模比较
  * @param {Object} factors - 因子分数
- * @returns {Object} 风险等级信息
+ * @param {Object} messages - 语言包
+ * @returns {Object} 风险等级信息，mainIssue 为因子 ID
  */
-function determineRiskLevel(totalScore, factors) {
-  let maxFactorScore = 0;
-  let maxFactorName = '';
+function determineRiskLevel(norms, factors, messages) {
+  const highFactorBand = tScoreBands.findIndex(band => band.className === 'moderate');
+  let mainIssue = null;
+  let mainIssueT = -Infinity;
   let highFactorCount = 0;
 
-  // 检查各因子分
-  for (const [factorName, data] of Object.entries(factors)) {
-    // 因子分 ≥ 3 分为严重
-    if (data.average >= 3) {
+  for (const [factorId, data] of Object.entries(factors)) {
+    if (data.t === null) continue;
+
+    if (data.bandIndex >= highFactorBand) {
       highFactorCount++;
-      if (data.average > maxFactorScore) {
-        maxFactorScore = data.average;
-        maxFactorName = factorName;
-      }
+    }
+    // 主要问题：超出正常范围的因子中 T 分最高者
+    if (data.bandIndex > 0 && data.t > mainIssueT) {
+      mainIssueT = data.t;
+      mainIssue = factorId;
     }
   }
 
-  // 总分超过160分或因子分≥3的情况较多
-  if (totalScore >= 250 || highFactorCount >= 3) {
-    return {
-      level: '重度',
-      color: '#e74c3c',
-      description: '您的心理困扰程度较为严重',
-      advice: '建议您尽快寻求专业心理医生的帮助，进行专业的心理咨询或治疗。您的心理状态需要专业的关注和支持。',
-      mainIssue: maxFactorName,
-      recommendProfessional: true
-    };
-  }
-
-  if (totalScore >= 200 || highFactorCount >= 2) {
-    return {
-      level: '中度',
-      color: '#e67e22',
-      description: '您存在一定的心理困扰',
-      advice: '您的心理状态需要关注。建议您寻求专业心理咨询师的帮助，了解如何更好地调整自己的心理状态。',
-      mainIssue: maxFactorName,
-      recommendProfessional: true
-    };
-  }
-
-  if (totalScore >= 160 || highFactorCount >= 1) {
-    return {
-      level: '轻度',
-      color: '#f39c12',
-      description: '您存在轻微的心理困扰',
-      advice: '您的心理状态总体尚可，但有些方面需要关注。建议您适当进行自我调节，保持良好的作息习惯，多进行运动和放松。如感觉困扰持续，可考虑寻求专业帮助。',
-      mainIssue: maxFactorName,
-      recommendProfessional: false
-    };
-  }
+  const index = Math.max(norms.total.bandIndex, Math.min(highFactorCount, riskLevels.length - 1));
 
   return {
-    level: '无明显',
-    color: '#27ae60',
-    description: '您的心理状态良好',
-    advice: '您的心理状态总体良好。继续保持健康的生活方式，适当进行自我关怀，关注心理健康。',
-    mainIssue: null,
-    recommendProfessional: false
+    ...messages.riskLevels[index],
+    ...riskLevels[index],
+    bandIndex: index,
+    mainIssue: index > 0 ? mainIssue : null
   };
 }
 
 /**
  * 获取因子解读
- * @param {string} factorName - 因子名称
+ * @param {string} factorId - 因子 ID（见 data/questions.js）
  * @param {number} averageScore - 因子均分
+ * @param {string} normGroup - 常模分组，等级按该常模的 T 分阈值判定
+ * @param {string} locale - 解读文字的语言
  * @returns {Object} 因子解读信息
  */
-export function getFactorInterpretation(factorName, averageScore) {
-  const interpretations = {
-    躯体化: {
-      description: '反映主观的身体不适感，包括心血管、胃肠道、呼吸系统等方面的不适。',
-      highScore: '可能存在较多的身体不适主诉，如头痛、胃痛、胸闷等，这些症状可能和心理压力有关。',
-      suggestions: ['尝试放松训练，如深呼吸、冥想', '保持规律的运动', '如症状持续，建议进行身体检查以排除器质性疾病']
-    },
-    强迫症状: {
-      description: '主要指那些明知没有必要，但又无法摆脱的无意义的思想、冲动和行为。',
-      highScore: '可能存在强迫思维或行为，如反复检查、反复思考某些问题等。',
-      suggestions: ['认识并接受自己的强迫倾向', '练习延迟强迫行为', '通过转移注意力来减少强迫症状', '严重时建议寻求专业认知行为治疗']
-    },
-    人际关系敏感: {
-      description: '指在人际交往中的不自在感和自卑感，特别是在与他人比较时更为突出。',
-      highScore: '可能在人际交往中感到不自信，过于在意他人的评价，容易产生人际紧张。',
-      suggestions: ['培养自我接纳和自我肯定', '学习有效的沟通技巧', '从小范围开始练习人际交往', '认识到他人也会感到紧张']
-    },
-    抑郁: {
-      description: '反映情绪低落、悲观失望、生活兴趣减退等症状。',
-      highScore: '可能存在情绪低落、兴趣减退、无望感等抑郁症状，需要特别关注。',
-      suggestions: ['保持规律的作息和运动', '尝试做一些曾经喜欢的事情', '与信任的人倾诉', '如症状持续超过两周，强烈建议寻求专业帮助']
-    },
-    焦虑: {
-      description: '指烦躁、坐立不安、神经过敏以及由此产生的躯体征象。',
-      highScore: '可能存在明显的焦虑症状，如紧张不安、心慌、担心等。',
-      suggestions: ['学习放松技巧，如渐进式肌肉放松', '练习正念冥想', '识别并挑战焦虑的想法', '避免过多摄入咖啡因']
-    },
-    敌对: {
-      description: '主要从思维、情感及行为三方面来反映患者的敌对表现。',
-      highScore: '可能容易产生敌对情绪，表现为易怒、发脾气、甚至有攻击倾向。',
-      suggestions: ['学会识别愤怒的早期信号', '学习健康的情绪表达方式', '通过运动释放紧张情绪', '练习深呼吸等冷静技巧']
-    },
-    恐怖: {
-      description: '反映对某些场景、物体或人际交往的恐惧和回避。',
-      highScore: '可能对某些特定场景或物体存在明显的恐惧和回避行为。',
-      suggestions: ['逐步暴露于恐惧情境（系统脱敏）', '学习放松技巧以应对恐惧', '记录并分析恐惧的想法', '严重时建议寻求专业治疗']
-    },
-    偏执: {
-      description: '主要指投射性思维、敌对、猜疑、妄想、被动体验和夸大等。',
-      highScore: '可能存在多疑、不信任他人、感觉自己被针对等思维模式。',
-      suggestions: ['尝试检验自己的猜疑是否有证据', '学会换位思考', '培养对他人基本的信任', '与信任的朋友讨论自己的想法']
-    },
-    精神病性: {
-      description: '反映各种急性症状和行为，即限定不严的精神病性过程的症状表现。',
-      highScore: '可能存在一些特殊的思维体验或感知觉异常，需要专业评估。',
-      suggestions: ['保持规律的作息', '避免使用精神活性物质', '减少压力', '建议寻求专业精神科医生的帮助']
-    }
-  };
-
-  const interpretation = interpretations[factorName] || {
-    description: '心理健康评估维度之一。',
-    highScore: '该维度得分偏高，建议关注。',
-    suggestions: ['保持良好的生活习惯', '适当进行自我调节', '必要时寻求专业帮助']
-  };
+export function getFactorInterpretation(factorId, averageScore, normGroup, locale = DEFAULT_LOCALE) {
+  const messages = getMessages(locale);
+  const { bandIndex, level } = describeFactorScore(factorId, averageScore, normGroup, messages);
 
   return {
-    ...interpretation,
-    level: averageScore >= 3 ? '偏高' : averageScore >= 2 ? '中等' : '正常',
-    status: averageScore >= 3 ? 'warning' : averageScore >= 2 ? 'attention' : 'normal'
+    ...getFactorText(factorId, messages),
+    level,
+    status: bandIndex >= 2 ? 'warning' : bandIndex >= 1 ? 'attention' : 'normal'
   };
 }
 
+// 旧报告以简体中文因子名称为键，按名称反查因子 ID
+const legacyFactorIds = Object.fromEntries(
+  Object.entries(locales[DEFAULT_LOCALE].factors).map(([id, factor]) => [factor.name, id])
+);
+
 /**
- * 生成分享链接
- * @param {Object} result - 测试结果
- * @returns {string} 分享链接
+ * 规整保存的 SCL-90 结果
+ * 多语言支持前的结果以中文因子名称为键、不含因子说明与 locale，统一为当前结构（按简体中文补全）
+ * @param {Object} result - 保存的测试结果
+ * @returns {Object} 测试结果
  */
-export function generateShareLink(result) {
-  const baseUrl = window.location.origin + window.location.pathname;
-  const encodedData = btoa(JSON.stringify(result));
-  return `${baseUrl}#result=${encodedData}`;
+export function normalizeResult(result) {
+  if (result.locale) {
+    return result;
+  }
+
+  const messages = locales[DEFAULT_LOCALE];
+  const normalized = { ...result, locale: DEFAULT_LOCALE };
+  if (result.norms) {
+    normalized.factors = Object.fromEntries(Object.entries(result.factors).map(([key, factor]) => {
+      const id = legacyFactorIds[key] || key;
+      const { name, description, suggestions } = getFactorText(id, messages);
+      return [id, { name, ...factor, description, suggestions }];
+    }));
+    normalized.riskLevel = {
+      ...result.riskLevel,
+      mainIssue: result.riskLevel.mainIssue && (legacyFactorIds[result.riskLevel.mainIssue] || result.riskLevel.mainIssue)
+    };
+  }
+  return normalized;
 }
 
 /**
- * 从URL解析测试结果
- * @returns {Object|null} 测试结果或null
+ * 解析 users 表中保存的报告，Worker 中读取结果的接口（用户报告、历史记录、管理后台、筛查统计）统一经过这里
+ * 多量表支持前保存的 SCL-90 结果缺少常模、安全预警等字段，按原答案以第 1 版题库重新计分（保留原测试时间）；
+ * 多语言支持前的结果以中文因子名称为键，规整为因子 ID（见 normalizeResult），均以简体中文展示
+ * @param {Object} user - 含 scale、result、answers 的 users 行
+ * @returns {Object} 测试结果
  */
-export function parseResultFromURL() {
-  const hash = window.location.hash;
-  if (hash && hash.startsWith('#result=')) {
-    try {
-      const encodedData = hash.substring(8);
-      return JSON.parse(atob(encodedData));
-    } catch (e) {
-      console.error('Failed to parse result from URL:', e);
-      return null;
-    }
+export function parseStoredResult(user) {
+  const result = JSON.parse(user.result);
+  if (!result.scale && user.answers) {
+    return { ...calculateScaleResult(user.scale, JSON.parse(user.answers), { version: 1 }), timestamp: result.timestamp };
   }
-  return null;
+  return normalizeResult(result);
 }
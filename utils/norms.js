@@ -0,0 +1,155 @@
+/**
+ * SCL-90 常模与标准分计算
+ *
+ * 默认常模：金华、吴文源、张明园《中国正常人 SCL-90 评定结果的初步分析》（1986），
+ * 全国 13 个地区 1388 名正常成人。"其他"因子（additional）为附加项目，原文未给出常模，不计算标准分。
+ *
+ * 所有等级判定（风险等级、结果页色条、因子参考结果）统一使用 tScoreBands，
+ * 调整阈值只需修改此处。常模与等级的显示名称见 data/locales。
+ */
+
+// 常模分组，mean / sd 为各指标的均值与标准差，factors 以因子 ID 为键
+export const normGroups = {
+  adult: {
+    total: { mean: 129.96, sd: 38.76 },          // 总分
+    positiveItems: { mean: 24.92, sd: 18.41 },    // 阳性项目数
+    positiveAverage: { mean: 2.60, sd: 0.59 },    // 阳性症状均分
+    factors: {
+      somatization: { mean: 1.37, sd: 0.48 },
+      obsessiveCompulsive: { mean: 1.62, sd: 0.58 },
+      interpersonalSensitivity: { mean: 1.65, sd: 0.61 },
+      depression: { mean: 1.50, sd: 0.59 },
+      anxiety: { mean: 1.39, sd: 0.43 },
+      hostility: { mean: 1.48, sd: 0.56 },
+      phobicAnxiety: { mean: 1.23, sd: 0.41 },
+      paranoidIdeation: { mean: 1.43, sd: 0.57 },
+      psychoticism: { mean: 1.29, sd: 0.42 }
+    }
+  }
+};
+
+// 默认常模分组
+export const DEFAULT_NORM_GROUP = 'adult';
+
+// 年龄 / 性别分组规则，按顺序匹配，未匹配时使用默认常模
+// 目前只收录成人常模，规则为空；新增分组时先在 normGroups 中加入已发表的常模数据、
+// 在语言包的 normGroups 中加入分组名称，再添加规则，例如：
+// { group: 'male', sex: 'male' }、{ group: 'youth', minAge: 18, maxAge: 29 }
+export const normGroupRules = [];
+
+// T 分等级阈值（T = 50 + 10Z，即 60 / 70 / 80 分别对应高于常模 1 / 2 / 3 个标准差）
+export const tScoreBands = [
+  { minT: 0, className: 'normal' },
+  { minT: 60, className: 'mild' },
+  { minT: 70, className: 'moderate' },
+  { minT: 80, className: 'severe' }
+];
+
+/**
+ * 按年龄 / 性别选择常模分组
+ * @param {Object} profile - { age?: number, sex?: 'male' | 'female' }
+ * @returns {string} 常模分组名
+ */
+export function selectNormGroup(profile = {}) {
+  const rule = normGroupRules.find(r =>
+    Object.hasOwn(normGroups, r.group) &&
+    (!r.sex || r.sex === profile.sex) &&
+    (r.minAge === undefined || profile.age >= r.minAge) &&
+    (r.maxAge === undefined || profile.age <= r.maxAge)
+  );
+  return rule ? rule.group : DEFAULT_NORM_GROUP;
+}
+
+/**
+ * 标准正态分布累积概率（Abramowitz-Stegun 7.1.26 近似）
+ * @param {number} z
+ * @returns {number} 0-1
+ */
+function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - ((((1.061405429 * t - 1.453152027) * t + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * 获取 T 分对应的等级序号（0 正常 - 3 重度）
+ * @param {number} t - T 分
+ * @returns {number}
+ */
+export function getBandIndex(t) {
+  let index = 0;
+  tScoreBands.forEach((band, i) => {
+    if (t >= band.minT) index = i;
+  });
+  return index;
+}
+
+/**
+ * 将原始分换算为标准分
+ * @param {number} value - 原始分
+ * @param {Object} norm - { mean, sd }
+ * @returns {Object} { z, t, percentile, bandIndex, cutoffs }；
+ *   cutoffs 为轻度 / 中度 / 重度起点对应的原始分，供结果页色条使用
+ */
+export function scoreAgainstNorm(value, norm) {
+  const z = (value - norm.mean) / norm.sd;
+  const t = 50 + 10 * z;
+  const bandIndex = getBandIndex(t);
+  return {
+    z: Math.round(z * 100) / 100,
+    t: Math.round(t * 10) / 10,
+    percentile: Math.round(normalCdf(z) * 1000) / 10,
+    bandIndex,
+    cutoffs: tScoreBands.slice(1).map(band => Math.round((norm.mean + (band.minT - 50) / 10 * norm.sd) * 100) / 100)
+  };
+}
+
+// 重测信度：Derogatis 报告 SCL-90 各因子一周重测信度约 0.78-0.90，取保守值
+export const RETEST_RELIABILITY = 0.8;
+
+/**
+ * 可靠变化阈值（Jacobson-Truax 可靠变化指数，p < .05）
+ * 两次测评之差的绝对值达到阈值时，视为超出测量误差的真实变化
+ * @param {Object} norm - { mean, sd }
+ * @param {number} reliability - 重测信度
+ * @returns {number} 原始分的变化阈值
+ */
+export function reliableChangeThreshold(norm, reliability = RETEST_RELIABILITY) {
+  return Math.round(1.96 * norm.sd * Math.sqrt(2 * (1 - reliability)) * 100) / 100;
+}
+
+/**
+ * 获取总分与各因子均分的可靠变化阈值，无常模的因子不包含在内
+ * @param {string} groupName - 常模分组
+ * @returns {Object} { total, factors: { 因子 ID: 阈值 } }
+ */
+export function getChangeThresholds(groupName = DEFAULT_NORM_GROUP) {
+  const norm = normGroups[groupName] || normGroups[DEFAULT_NORM_GROUP];
+  const factors = {};
+  for (const [factorName, factorNorm] of Object.entries(norm.factors)) {
+    factors[factorName] = reliableChangeThreshold(factorNorm);
+  }
+  return { total: reliableChangeThreshold(norm.total), factors };
+}
+
+// 无常模因子（additional）的阳性界值：因子均分 ≥ 2 视为偏高
+const UNNORMED_FACTOR_CUTOFF = 2;
+
+/**
+ * 计算因子均分的标准分
+ * 无常模的因子不计算 Z / T 分，按均分界值给出"正常 / 偏高"（bandIndex 0 / 1）
+ * @param {string} factorId - 因子 ID
+ * @param {number} average - 因子均分
+ * @param {string} groupName - 常模分组
+ * @returns {Object} { z, t, percentile, bandIndex }，无常模的因子 t 为 null
+ */
+export function scoreFactor(factorId, average, groupName = DEFAULT_NORM_GROUP) {
+  const norm = (normGroups[groupName] || normGroups[DEFAULT_NORM_GROUP]).factors[factorId];
+  if (!norm) {
+    return { z: null, t: null, percentile: null, bandIndex: average >= UNNORMED_FACTOR_CUTOFF ? 1 : 0 };
+  }
+
+  const { z, t, percentile, bandIndex } = scoreAgainstNorm(average, norm);
+  return { z, t, percentile, bandIndex };
+}
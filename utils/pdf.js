@@ -0,0 +1,475 @@
+/**
+ * PDF 报告排版（jsPDF 文本与矢量绘图，浏览器与 Node 均可使用）
+ *
+ * 文字以内嵌的 Noto Sans SC 字体子集（assets/fonts，SIL OFL 1.1 授权，由 scripts/build-pdf-font.js 生成）写入，可选中、可检索。
+ * 分页按实际测量的高度进行：段落逐行换页，表格逐行换页并在新页重复表头，
+ * 因子标题与首行内容不分离，不会因内容过长被裁掉。
+ */
+
+// A4 页面与边距（mm）
+const PAGE_WIDTH = 210;
+const PAGE_HEIGHT = 297;
+const MARGIN_X = 16;
+const MARGIN_TOP = 18;
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN_X * 2;
+// 正文区域下边界，其下为页脚
+const CONTENT_BOTTOM = PAGE_HEIGHT - 21;
+const FOOTER_TOP = PAGE_HEIGHT - 17;
+
+const FONT_NAME = 'NotoSansSC';
+const FONT_FILE = 'NotoSansSC-Regular.subset.ttf';
+export const PDF_FONT_URL = new URL(`../assets/fonts/${FONT_FILE}`, import.meta.url).href;
+
+// 字号换算为行高（mm）：1pt ≈ 0.3528mm，行距 1.5 倍
+const PT = 0.3528;
+const lineHeight = size => size * PT * 1.5;
+
+const COLORS = {
+  text: '#333333',
+  muted: '#999999',
+  brand: '#667eea',
+  border: '#dddddd',
+  header: '#f5f7ff',
+  alert: '#d32f2f',
+  alertBackground: '#fff5f5',
+  levels: { normal: '#4caf50', attention: '#ff9800', warning: '#d32f2f' }
+};
+
+// 剖面图的等级分界线
+const PROFILE_LINES = [
+  { t: 50, color: '#999999' },
+  { t: 60, color: '#ff9800' },
+  { t: 70, color: '#f57c00' },
+  { t: 80, color: '#d32f2f' }
+];
+
+let fontLoad = null;
+
+/**
+ * 下载报告字体（只下载一次，失败时允许重试）
+ * @returns {Promise<ArrayBuffer>}
+ */
+export function loadPdfFont() {
+  if (!fontLoad) {
+    fontLoad = fetch(PDF_FONT_URL).then(response => {
+      if (!response.ok) throw new Error(`字体加载失败：${response.status}`);
+      return response.arrayBuffer();
+    });
+    fontLoad.catch(() => {
+      fontLoad = null;
+    });
+  }
+  return fontLoad;
+}
+
+function toBase64(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+// 中文逐字、英文按单词断行；中文标点随前一个字，不出现在行首
+const CJK = '\u2e80-\u9fff\uf900-\ufaff\uff00-\uffef';
+const WRAP_TOKEN = new RegExp(`[${CJK}][，。、；：！？）」』》】”’]*|[^\\s${CJK}]+|\\s+`, 'g');
+
+/**
+ * 按宽度（mm，使用当前字号）将文字拆成多行，放不下一行的单词逐字断开
+ */
+function wrapText(doc, text, width) {
+  const lines = [];
+  let line = '';
+  for (const token of String(text).match(WRAP_TOKEN) || []) {
+    if (!line && /^\s+$/.test(token)) continue;
+    if (doc.getTextWidth(line + token) <= width) {
+      line += token;
+    } else if (/^\s+$/.test(token)) {
+      lines.push(line.trimEnd());
+      line = '';
+    } else {
+      if (line.trim()) lines.push(line.trimEnd());
+      line = '';
+      for (const char of token) {
+        if (line && doc.getTextWidth(line + char) > width) {
+          lines.push(line);
+          line = '';
+        }
+        line += char;
+      }
+    }
+  }
+  if (line.trim() || !lines.length) lines.push(line.trimEnd());
+  return lines;
+}
+
+/**
+ * 生成 PDF 报告
+ * @param {Function} JsPDF - jsPDF 构造函数
+ * @param {Object} report - GET /api/report/:token 返回的完整报告
+ * @param {Object} options
+ * @param {ArrayBuffer|Uint8Array} options.font - 报告字体（loadPdfFont）
+ * @param {Function} options.t - 界面文字 t(key, params)
+ * @param {Function} options.formatTime - 时间格式化 formatTime(timestamp)
+ * @param {string} [options.generatedAt] - 报告生成时间，默认当前时间
+ * @returns {Object} jsPDF 文档
+ */
+export function buildPdfReport(JsPDF, report, { font, t, formatTime, generatedAt = new Date().toISOString() }) {
+  const doc = new JsPDF({ unit: 'mm', format: 'a4' });
+  doc.addFileToVFS(FONT_FILE, toBase64(font));
+  doc.addFont(FONT_FILE, FONT_NAME, 'normal');
+  doc.setFont(FONT_NAME, 'normal');
+
+  const { result } = report;
+  const layout = createLayout(doc);
+
+  renderCover(layout, report, { t, formatTime, generatedAt });
+
+  layout.newPage();
+  renderSummary(layout, result, t);
+
+  if (result.norms) {
+    layout.newPage();
+    layout.heading(t('pdf.sections.profile'));
+    renderProfile(layout, result);
+    layout.paragraph(t('pdf.profileNote', { additional: result.factors.additional ? result.factors.additional.name : '' }), { size: 9, color: COLORS.muted });
+    renderAdvice(layout, result, t);
+  }
+
+  const interpretations = Object.values(report.interpretations);
+  if (interpretations.length) {
+    layout.newPage();
+    layout.heading(t('pdf.sections.interpretation'));
+    interpretations.forEach(interpretation => renderInterpretation(layout, interpretation, t));
+  }
+
+  layout.newPage();
+  layout.heading(result.norms ? t('pdf.sections.items') : t('pdf.sections.itemsOnly'));
+  renderItems(layout, report.itemsByFactor);
+
+  renderFooters(doc, t);
+  return doc;
+}
+
+/**
+ * 纵向排版：记录当前位置，放不下时换页
+ */
+function createLayout(doc) {
+  const layout = {
+    doc,
+    y: MARGIN_TOP,
+
+    newPage() {
+      doc.addPage();
+      layout.y = MARGIN_TOP;
+    },
+
+    // 剩余空间不足 height 时换页，返回是否换页
+    ensure(height) {
+      if (layout.y + height <= CONTENT_BOTTOM) return false;
+      layout.newPage();
+      return true;
+    },
+
+    setText(size, color = COLORS.text) {
+      doc.setFontSize(size);
+      doc.setTextColor(color);
+    },
+
+    heading(text, size = 16) {
+      // 标题与其后至少两行正文在同一页
+      layout.ensure(lineHeight(size) + lineHeight(10.5) * 2);
+      layout.setText(size);
+      doc.text(text, MARGIN_X, layout.y, { baseline: 'top' });
+      layout.y += lineHeight(size) + 2;
+    },
+
+    // 段落逐行排版，跨页时在行间断开
+    paragraph(text, { size = 10.5, color = COLORS.text, x = MARGIN_X, width = CONTENT_WIDTH, after = 3 } = {}) {
+      layout.setText(size, color);
+      for (const line of wrapText(doc, text, width)) {
+        layout.ensure(lineHeight(size));
+        doc.text(line, x, layout.y, { baseline: 'top' });
+        layout.y += lineHeight(size);
+      }
+      layout.y += after;
+    },
+
+    /**
+     * 表格：单元格自动换行，行高取最高的单元格；放不下时整行移到下一页并重复表头
+     * @param {Array} columns - [{ width, align }]，width 为占内容宽度的比例
+     * @param {Array} rows - [{ cells, fill, color, span }]，span 为 true 时首个单元格占满整行
+     * @param {Object} [header] - 表头行，格式同 rows
+     */
+    table(columns, rows, { header = null, size = 9.5, padding = 1.8, after = 4 } = {}) {
+      const widths = columns.map(column => column.width * CONTENT_WIDTH);
+      const measure = row => {
+        doc.setFontSize(size);
+        const cells = row.span
+          ? [{ lines: wrapText(doc, row.cells[0], CONTENT_WIDTH - padding * 2), x: MARGIN_X, width: CONTENT_WIDTH, align: 'left' }]
+          : row.cells.map((cell, i) => ({
+            lines: wrapText(doc, cell, widths[i] - padding * 2),
+            x: MARGIN_X + widths.slice(0, i).reduce((sum, width) => sum + width, 0),
+            width: widths[i],
+            align: columns[i].align || 'center'
+          }));
+        const height = Math.max(...cells.map(cell => cell.lines.length)) * lineHeight(size) + padding * 2;
+        return { ...row, cells, height };
+      };
+      const draw = row => {
+        doc.setDrawColor(COLORS.border);
+        doc.setLineWidth(0.2);
+        row.cells.forEach((cell, i) => {
+          if (row.fill) doc.setFillColor(row.fill);
+          doc.rect(cell.x, layout.y, cell.width, row.height, row.fill ? 'FD' : 'S');
+          layout.setText(size, (row.colors && row.colors[i]) || row.color || COLORS.text);
+          const x = cell.align === 'left' ? cell.x + padding : cell.x + cell.width / 2;
+          cell.lines.forEach((line, index) => {
+            doc.text(line, x, layout.y + padding + index * lineHeight(size), { baseline: 'top', align: cell.align === 'left' ? 'left' : 'center' });
+          });
+        });
+        layout.y += row.height;
+      };
+
+      const measuredHeader = header && measure(header);
+      rows.map(measure).forEach((row, index) => {
+        const headerHeight = measuredHeader ? measuredHeader.height : 0;
+        if (index === 0) {
+          // 表头与首行不分离
+          layout.ensure(headerHeight + row.height);
+          if (measuredHeader) draw(measuredHeader);
+        } else if (layout.ensure(row.height) && measuredHeader) {
+          draw(measuredHeader);
+        }
+        draw(row);
+      });
+      layout.y += after;
+    },
+
+    // 带边框的提示框（安全预警、作答有效性），首行为标题
+    alert(label, lines, { size = 10 } = {}) {
+      const padding = 3;
+      const width = CONTENT_WIDTH - padding * 2;
+      doc.setFontSize(size);
+      const wrapped = [label.trim(), ...lines.flatMap(line => wrapText(doc, line, width))];
+      const height = wrapped.length * lineHeight(size) + padding * 2;
+      layout.ensure(height);
+
+      doc.setDrawColor(COLORS.alert);
+      doc.setFillColor(COLORS.alertBackground);
+      doc.setLineWidth(0.3);
+      doc.roundedRect(MARGIN_X, layout.y, CONTENT_WIDTH, height, 2, 2, 'FD');
+      wrapped.forEach((line, index) => {
+        layout.setText(size, index === 0 ? COLORS.alert : COLORS.text);
+        doc.text(line, MARGIN_X + padding, layout.y + padding + index * lineHeight(size), { baseline: 'top' });
+      });
+      layout.y += height + 4;
+    }
+  };
+  return layout;
+}
+
+function renderCover(layout, report, { t, formatTime, generatedAt }) {
+  const { doc } = layout;
+  const { result } = report;
+  const center = PAGE_WIDTH / 2;
+
+  layout.y = 60;
+  layout.setText(16, COLORS.brand);
+  doc.text(t('brand'), center, layout.y, { baseline: 'top', align: 'center' });
+  layout.y += 16;
+
+  layout.setText(24);
+  for (const line of wrapText(doc, result.scaleName, CONTENT_WIDTH)) {
+    doc.text(line, center, layout.y, { baseline: 'top', align: 'center' });
+    layout.y += lineHeight(24);
+  }
+  layout.y += 2;
+  layout.setText(16, '#666666');
+  doc.text(t('pdf.title'), center, layout.y, { baseline: 'top', align: 'center' });
+  layout.y += lineHeight(16) + 16;
+
+  const columns = [{ width: 0.3 }, { width: 0.7, align: 'left' }];
+  const row = (label, value, color) => ({ cells: [label, value], colors: [COLORS.text, color || COLORS.text] });
+  layout.table(columns, [
+    row(t('pdf.testTime'), formatTime(result.timestamp)),
+    row(t('pdf.reportId'), report.token),
+    row(t('pdf.version'), `v${result.scaleVersion || 1}`),
+    row(t('pdf.generatedAt'), formatTime(generatedAt)),
+    row(t('pdf.overall'), result.riskLevel.level + (result.safetyAlert ? t('pdf.alertNotice') : ''), result.riskLevel.color)
+  ], { size: 11, padding: 3 });
+}
+
+function renderSummary(layout, result, t) {
+  layout.heading(t('pdf.sections.summary'));
+
+  if (result.validity && !result.validity.reliable) {
+    layout.alert(t('pdf.validityLabel'), [result.validity.flags.map(flag => flag.message).join(t('listSeparator')) + t('pdf.validityNote')]);
+  }
+
+  const header = cells => ({ cells, fill: COLORS.header });
+  if (result.norms) {
+    const { norms } = result;
+    layout.table(Array(5).fill({ width: 0.2 }), [
+      { cells: [t('pdf.total'), t('pdf.totalWithAverage', { score: result.totalScore, average: result.totalAverage.toFixed(2) }), norms.total.t.toFixed(1), `${norms.total.percentile}%`, norms.total.level] },
+      { cells: [t('pdf.positiveItems'), result.positiveItems, norms.positiveItems.t.toFixed(1), `${norms.positiveItems.percentile}%`, norms.positiveItems.bandIndex > 0 ? t('pdf.positive') : t('pdf.normal')] },
+      { cells: [t('pdf.positiveAverage'), result.positiveAverage.toFixed(2), norms.positiveAverage.t.toFixed(1), `${norms.positiveAverage.percentile}%`, norms.positiveAverage.level] }
+    ], { header: header([t('pdf.metric'), t('pdf.score'), t('pdf.tScore'), t('pdf.percentile'), t('pdf.level')]) });
+  } else {
+    layout.table(Array(4).fill({ width: 0.25 }), [
+      { cells: [result.totalScore, result.rawScore, `${result.minScore}-${result.maxScore}`, result.riskLevel.level] }
+    ], { header: header([t('pdf.score'), t('pdf.rawScore'), t('pdf.scoreRange'), t('pdf.level')]) });
+  }
+
+  const factors = Object.values(result.factors);
+  if (factors.length) {
+    layout.heading(t('pdf.factorsTitle'), 13);
+    const missing = value => value === null || value === undefined;
+    layout.table([{ width: 0.22 }, ...Array(6).fill({ width: 0.13 })], factors.map(factor => ({
+      cells: [
+        factor.name,
+        factor.itemCount,
+        factor.score,
+        factor.average.toFixed(2),
+        missing(factor.t) ? '—' : factor.t.toFixed(1),
+        missing(factor.percentile) ? '—' : `${factor.percentile}%`,
+        factor.level || '—'
+      ]
+    })), { header: header([t('pdf.factor'), t('pdf.itemCount'), t('pdf.total'), t('pdf.average'), t('pdf.tScore'), t('pdf.percentile'), t('pdf.level')]) });
+  }
+
+  if (result.norms) {
+    layout.paragraph(t('pdf.normNote', { norm: result.norms.label }), { size: 9, color: COLORS.muted });
+  } else {
+    renderAdvice(layout, result, t);
+  }
+}
+
+// 安全预警（附求助热线）与综合建议
+function renderAdvice(layout, result, t) {
+  const { safetyAlert } = result;
+  if (safetyAlert) {
+    layout.alert(t('pdf.safetyAlertLabel'), [
+      safetyAlert.message,
+      ...safetyAlert.resources.map(resource => t('pdf.resource', { ...resource, phone: resource.phone || resource.url }))
+    ]);
+  }
+  layout.heading(t('pdf.adviceTitle'), 13);
+  layout.paragraph(safetyAlert ? safetyAlert.advice : result.riskLevel.advice);
+}
+
+// 因子 T 分剖面图（无常模的因子不绘制）
+function renderProfile(layout, result) {
+  const { doc } = layout;
+  const factors = Object.entries(result.factors).filter(([, factor]) => factor.t !== null && factor.t !== undefined);
+  const left = MARGIN_X + 10;
+  // 每个因子占一格，点画在格子中央，名称在格内换行（连字符处也可换行）
+  const slot = (CONTENT_WIDTH - 10) / Math.max(factors.length, 1);
+  const labelWidth = slot - 1;
+  const names = factors.map(([, factor]) => factor.name.replace(/-/g, '- '));
+  // 最长的单词也放不下时缩小字号
+  const longestWord = Math.max(...names.flatMap(name => name.split(' ')).map(word => doc.getStringUnitWidth(word)));
+  const labelSize = Math.min(8, labelWidth * doc.internal.scaleFactor / longestWord);
+  doc.setFontSize(labelSize);
+  const labels = names.map(name => wrapText(doc, name, labelWidth));
+  const labelLines = Math.max(1, ...labels.map(lines => lines.length));
+
+  const plotHeight = 90;
+  const height = plotHeight + 8 + labelLines * lineHeight(labelSize);
+  layout.ensure(height);
+
+  const top = layout.y + 8;
+  const minT = 20, maxT = 100;
+  const toY = value => top + (maxT - Math.min(Math.max(value, minT), maxT)) / (maxT - minT) * plotHeight;
+
+  doc.setLineWidth(0.3);
+  for (const line of PROFILE_LINES) {
+    const y = toY(line.t);
+    doc.setDrawColor(line.color);
+    doc.setLineDashPattern([1.5, 1.5], 0);
+    doc.line(left, y, MARGIN_X + CONTENT_WIDTH, y);
+    layout.setText(9, line.color);
+    doc.text(`T${line.t}`, MARGIN_X, y, { baseline: 'middle' });
+  }
+  doc.setLineDashPattern([], 0);
+
+  const points = factors.map(([, factor], i) => ({ x: left + slot * (i + 0.5), y: toY(factor.t), t: factor.t }));
+  doc.setDrawColor(COLORS.brand);
+  doc.setLineWidth(0.6);
+  points.slice(1).forEach((point, i) => doc.line(points[i].x, points[i].y, point.x, point.y));
+
+  points.forEach((point, i) => {
+    // 文字颜色与填充色共用，每个点都需重新设置
+    doc.setFillColor(COLORS.brand);
+    doc.circle(point.x, point.y, 1.3, 'F');
+    layout.setText(labelSize);
+    doc.text(point.t.toFixed(0), point.x, point.y - 2.5, { baseline: 'bottom', align: 'center' });
+    labels[i].forEach((line, index) => {
+      doc.text(line, point.x, top + plotHeight + 4 + index * lineHeight(labelSize), { baseline: 'top', align: 'center' });
+    });
+  });
+
+  layout.y += height + 4;
+}
+
+function renderInterpretation(layout, interpretation, t) {
+  const { doc } = layout;
+  const size = 12;
+  const badgeSize = 8;
+
+  layout.ensure(lineHeight(size) + lineHeight(10.5) * 2);
+  layout.setText(size);
+  doc.text(interpretation.name, MARGIN_X, layout.y, { baseline: 'top' });
+
+  // 等级标签
+  const nameWidth = doc.getTextWidth(interpretation.name);
+  doc.setFontSize(badgeSize);
+  const badgeWidth = doc.getTextWidth(interpretation.level) + 4;
+  const badgeHeight = lineHeight(badgeSize) + 0.6;
+  const badgeX = MARGIN_X + nameWidth + 3;
+  const badgeY = layout.y + (lineHeight(size) - badgeHeight) / 2;
+  doc.setFillColor(COLORS.levels[interpretation.status] || COLORS.levels.normal);
+  doc.roundedRect(badgeX, badgeY, badgeWidth, badgeHeight, badgeHeight / 2, badgeHeight / 2, 'F');
+  layout.setText(badgeSize, '#ffffff');
+  doc.text(interpretation.level, badgeX + badgeWidth / 2, badgeY + badgeHeight / 2, { baseline: 'middle', align: 'center' });
+  layout.y += lineHeight(size) + 1;
+
+  layout.paragraph(t('pdf.descriptionLabel') + interpretation.description, { after: 1 });
+  if (interpretation.status !== 'normal') {
+    layout.paragraph(t('pdf.highScoreLabel') + interpretation.highScore, { after: 1 });
+    layout.paragraph(t('pdf.suggestionsLabel') + interpretation.suggestions.join(t('listSeparator')), { after: 1 });
+  }
+  layout.y += 4;
+}
+
+// 逐题作答：每个因子一张表，因子名称作为表头，换页时在新页重复
+function renderItems(layout, itemsByFactor) {
+  const columns = [{ width: 0.08 }, { width: 0.74, align: 'left' }, { width: 0.18 }];
+  for (const group of itemsByFactor) {
+    const rows = group.items.map(item => ({ cells: [item.id, item.text, `${item.answer} ${item.label}`] }));
+    const header = group.factor ? { cells: [group.name], span: true, fill: COLORS.header } : null;
+    layout.table(columns, rows, { header, size: 9, padding: 1.4, after: 2 });
+  }
+}
+
+// 页脚：免责声明与页码（全部页面排版完成后写入，以得到总页数）
+function renderFooters(doc, t) {
+  const total = doc.getNumberOfPages();
+  const size = 7.5;
+  for (let page = 1; page <= total; page++) {
+    doc.setPage(page);
+    doc.setDrawColor(COLORS.border);
+    doc.setLineWidth(0.2);
+    doc.line(MARGIN_X, FOOTER_TOP, MARGIN_X + CONTENT_WIDTH, FOOTER_TOP);
+
+    doc.setFontSize(size);
+    doc.setTextColor(COLORS.muted);
+    const pageText = t('pdf.page', { current: page, total });
+    const pageWidth = doc.getTextWidth(pageText);
+    doc.text(pageText, MARGIN_X + CONTENT_WIDTH, FOOTER_TOP + 2, { baseline: 'top', align: 'right' });
+    wrapText(doc, t('pdf.footer'), CONTENT_WIDTH - pageWidth - 6).forEach((line, index) => {
+      doc.text(line, MARGIN_X, FOOTER_TOP + 2 + index * lineHeight(size), { baseline: 'top' });
+    });
+  }
+}
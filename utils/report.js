@@ -0,0 +1,41 @@
+import { getScale } from '../data/scales/index.js';
+import { getFactorName, localizeScale } from '../data/locales/index.js';
+import { getFactorInterpretation } from './calculator.js';
+
+/**
+ * 生成完整报告的附加内容（PDF 导出使用）
+ * @param {string} scaleId - 量表 ID
+ * @param {Array} answers - 用户答案数组，索引0对应第1题
+ * @param {Object} result - 测试结果，题目与因子按 result.scaleVersion 对应的版本、result.locale 对应的语言取用
+ * @returns {Object} { itemsByFactor, interpretations }
+ *   itemsByFactor: [{ factor, name, items: [{ id, text, answer, label }] }]，factor 为因子 ID，量表没有因子时为 null；
+ *   interpretations: 以因子 ID 为键的 getFactorInterpretation 解读（仅 SCL-90）
+ */
+export function buildReportDetails(scaleId, answers, result) {
+  // 记录版本号之前的结果均按第 1 版计分
+  const scale = localizeScale(getScale(scaleId, result.scaleVersion || 1), result.locale);
+
+  const toItem = (id) => {
+    const option = scale.options.find(o => o.value === answers[id - 1]);
+    return {
+      id,
+      text: scale.questions[id - 1].text,
+      answer: answers[id - 1],
+      label: option ? option.label : ''
+    };
+  };
+
+  const factorEntries = Object.entries(scale.factors || {});
+  const itemsByFactor = factorEntries.length
+    ? factorEntries.map(([factor, ids]) => ({ factor, name: getFactorName(factor, scale.locale), items: ids.map(toItem) }))
+    : [{ factor: null, name: null, items: scale.questions.map(question => toItem(question.id)) }];
+
+  const interpretations = {};
+  if (scale.scoring.method === 'scl90') {
+    for (const [factorId, factor] of Object.entries(result.factors)) {
+      interpretations[factorId] = getFactorInterpretation(factorId, factor.average, result.norms.group, scale.locale);
+    }
+  }
+
+  return { itemsByFactor, interpretations };
+}
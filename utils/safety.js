@@ -0,0 +1,78 @@
+/**
+ * 危机条目安全预警
+ *
+ * 各量表在定义中声明危机条目（criticalItems，如 SCL-90 第 15 / 59 题、PHQ-9 第 9 题），
+ * 不论总分与因子分高低，命中任一规则即在结果中附加 safetyAlert：
+ * 结果页优先展示危机求助信息，Worker 在 users 表中标记该链接，供管理员跟进。
+ * 提示文字与热线名称见语言包的 safety。
+ */
+
+import { getMessages, resolveLocale } from '../data/locales/index.js';
+
+// 预警级别，按严重程度升序
+export const safetyAlertLevels = ['elevated', 'high'];
+
+// 中国大陆的求助热线：用户以大陆为主，界面语言不代表所在地区，各语言均列出
+const mainlandResources = [
+  { id: 'national', phone: '12356' },
+  { id: 'hope24', phone: '400-161-9995' },
+  { id: 'beijing', phone: '010-82951332' },
+  { id: 'emergency', phone: '120 / 110' }
+];
+
+// 危机求助资源（结果页按顺序展示），名称与服务时间见语言包的 safety.resources
+// 繁体中文另列台湾、香港与澳门的热线；英文另附国际热线目录（url），供大陆以外的用户查找当地热线
+export const crisisResources = {
+  'zh-CN': mainlandResources,
+  'zh-TW': [
+    ...mainlandResources,
+    { id: 'taiwan', phone: '1925' },
+    { id: 'hongkong', phone: '2389-2222' },
+    { id: 'macau', phone: '2852-5222' }
+  ],
+  en: [
+    ...mainlandResources,
+    { id: 'directory', url: 'https://findahelpline.com' }
+  ]
+};
+
+/**
+ * 按量表的危机条目规则检查答案
+ * @param {Array} answers - 用户答案数组，索引0对应第1题
+ * @param {Object} scale - 量表定义（见 data/scales），题目与选项文字按报告语言生成
+ * @param {string} locale - 提示文字的语言
+ * @returns {Object|null} 未触发时返回 null；触发时返回
+ *   { level, message, advice, items: [{ id, text, answer, label }], resources: [{ name, phone, url, hours }] }，
+ *   resources 中电话热线有 phone，热线目录有 url
+ */
+export function evaluateSafety(answers, scale, locale) {
+  const matched = (scale.criticalItems || []).filter(rule => answers[rule.itemId - 1] >= rule.minAnswer);
+  if (!matched.length) {
+    return null;
+  }
+
+  const level = matched.reduce((highest, rule) =>
+    safetyAlertLevels.indexOf(rule.level) > safetyAlertLevels.indexOf(highest) ? rule.level : highest,
+    safetyAlertLevels[0]
+  );
+  const itemIds = [...new Set(matched.map(rule => rule.itemId))];
+  const messages = getMessages(locale).safety;
+
+  return {
+    level,
+    message: messages.messages[level],
+    advice: messages.advice,
+    items: itemIds.map(id => ({
+      id,
+      text: scale.questions.find(question => question.id === id).text,
+      answer: answers[id - 1],
+      label: scale.options.find(option => option.value === answers[id - 1]).label
+    })),
+    resources: crisisResources[resolveLocale(locale)].map(({ id, phone = null, url = null }) => ({
+      name: messages.resources[id].name,
+      phone,
+      url,
+      hours: messages.resources[id].hours
+    }))
+  };
+}
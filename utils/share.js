@@ -0,0 +1,279 @@
+/**
+ * 报告分享链接的编码与加密
+ *
+ * 分享链接形如 index.html#share=<分享 ID>.<密文>[.<密钥>]。# 之后的内容不会随请求发送到服务器，
+ * 服务器只登记分享 ID 与有效期（见 worker/shares.js），无法读取报告内容：
+ * - 明文只含作答本身：量表、版本、语言、测试时间、过期时间、作答过快题数与按位打包的答案，
+ *   打开链接时在浏览器中重新计分（SCL-90 共 47 字节）
+ * - 使用 AES-GCM 加密，分享 ID 作为附加认证数据，密文不能挪用到其他分享 ID，过期时间也无法篡改
+ * - 默认随机生成密钥并附在链接末尾；口令模式不附密钥，由 PBKDF2 从口令派生，口令需另行告知对方
+ *
+ * 浏览器与 Worker 均可使用（Web Crypto）。
+ */
+
+import { getScale } from '../data/scales/index.js';
+import { calculateScaleResult } from './calculator.js';
+import { evaluateValidity } from './validity.js';
+
+// 格式版本，修改二进制布局时提升
+const FORMAT_VERSION = 1;
+
+// 量表与语言在二进制中的编号，只能追加，不能调整顺序
+const SCALE_IDS = ['scl90', 'sds', 'sas', 'phq9', 'gad7'];
+const LOCALES = ['zh-CN', 'zh-TW', 'en'];
+
+// 加密方式
+const MODE_KEY = 0;          // 密钥附在链接中
+const MODE_PASSPHRASE = 1;   // 密钥由口令派生
+
+const IV_BYTES = 12;
+const SALT_BYTES = 16;
+const PBKDF2_ITERATIONS = 200000;
+
+// 明文头部：格式版本、量表、版本、语言（各 1 字节）+ 测试时间、过期时间（各 4 字节，秒）+ 作答过快题数（1 字节）
+const HEADER_BYTES = 13;
+
+export const SHARE_HASH_PREFIX = '#share=';
+
+/**
+ * 生成带错误码的异常，错误码与前端的访问错误页对应
+ * - SHARE_INVALID: 链接不完整、已损坏或量表版本无法识别
+ * - SHARE_PASSPHRASE: 口令错误
+ */
+function shareError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * 每道题答案占用的位数
+ * @param {Object} scale - 量表定义
+ * @returns {number}
+ */
+function bitsPerAnswer(scale) {
+  return Math.max(1, Math.ceil(Math.log2(scale.options.length)));
+}
+
+/**
+ * 将分享内容编码为二进制明文
+ * @param {Object} payload - { scaleId, scaleVersion, locale, completedAt, expiresAt, fastItems, answers }
+ *   completedAt / expiresAt 为 Unix 时间（秒），fastItems 为作答用时过短的题数（见 utils/validity.js）
+ * @returns {Uint8Array}
+ */
+export function encodeSharePayload(payload) {
+  const scale = getScale(payload.scaleId, payload.scaleVersion);
+  const scaleIndex = SCALE_IDS.indexOf(payload.scaleId);
+  if (!scale || scaleIndex === -1) {
+    throw shareError('SHARE_INVALID', `未知量表：${payload.scaleId}`);
+  }
+  if (payload.answers.length !== scale.questions.length) {
+    throw shareError('SHARE_INVALID', '答案数量与量表不符');
+  }
+
+  const bits = bitsPerAnswer(scale);
+  const bytes = new Uint8Array(HEADER_BYTES + Math.ceil(payload.answers.length * bits / 8));
+  const view = new DataView(bytes.buffer);
+  view.setUint8(0, FORMAT_VERSION);
+  view.setUint8(1, scaleIndex);
+  view.setUint8(2, scale.version);
+  view.setUint8(3, Math.max(LOCALES.indexOf(payload.locale), 0));
+  view.setUint32(4, payload.completedAt);
+  view.setUint32(8, payload.expiresAt);
+  view.setUint8(12, Math.min(payload.fastItems || 0, 255));
+
+  // 答案按选项序号（而非分值）打包，高位在前
+  payload.answers.forEach((answer, i) => {
+    const index = scale.options.findIndex(option => option.value === answer);
+    if (index === -1) {
+      throw shareError('SHARE_INVALID', `第 ${i + 1} 题答案无效`);
+    }
+    for (let b = 0; b < bits; b++) {
+      if (index & (1 << (bits - 1 - b))) {
+        const position = i * bits + b;
+        bytes[HEADER_BYTES + (position >> 3)] |= 0x80 >> (position & 7);
+      }
+    }
+  });
+
+  return bytes;
+}
+
+/**
+ * 解码二进制明文
+ * @param {Uint8Array} bytes
+ * @returns {Object} 同 encodeSharePayload 的 payload
+ */
+export function decodeSharePayload(bytes) {
+  if (bytes.length < HEADER_BYTES || bytes[0] !== FORMAT_VERSION) {
+    throw shareError('SHARE_INVALID', '无法识别的分享内容');
+  }
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const scaleId = SCALE_IDS[view.getUint8(1)];
+  const scale = scaleId && getScale(scaleId, view.getUint8(2));
+  if (!scale) {
+    throw shareError('SHARE_INVALID', '无法识别的量表版本');
+  }
+
+  const bits = bitsPerAnswer(scale);
+  if (bytes.length !== HEADER_BYTES + Math.ceil(scale.questions.length * bits / 8)) {
+    throw shareError('SHARE_INVALID', '分享内容不完整');
+  }
+
+  const answers = scale.questions.map((question, i) => {
+    let index = 0;
+    for (let b = 0; b < bits; b++) {
+      const position = i * bits + b;
+      index = (index << 1) | ((bytes[HEADER_BYTES + (position >> 3)] >> (7 - (position & 7))) & 1);
+    }
+    if (index >= scale.options.length) {
+      throw shareError('SHARE_INVALID', '分享内容已损坏');
+    }
+    return scale.options[index].value;
+  });
+
+  return {
+    scaleId,
+    scaleVersion: scale.version,
+    locale: LOCALES[view.getUint8(3)] || LOCALES[0],
+    completedAt: view.getUint32(4),
+    expiresAt: view.getUint32(8),
+    fastItems: view.getUint8(12),
+    answers
+  };
+}
+
+function toBase64Url(bytes) {
+  let binary = '';
+  bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+async function deriveKey(passphrase, salt) {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations: PBKDF2_ITERATIONS },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * 生成分享链接的 # 片段
+ * @param {string} shareId - 服务器登记的分享 ID
+ * @param {Object} payload - 见 encodeSharePayload
+ * @param {Object} options - { passphrase }，提供口令时链接中不含密钥
+ * @returns {Promise<string>} 以 #share= 开头的片段
+ */
+export async function createShareFragment(shareId, payload, { passphrase } = {}) {
+  const plaintext = encodeSharePayload(payload);
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+
+  let key;
+  let header;
+  let rawKey = null;
+  if (passphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+    key = await deriveKey(passphrase, salt);
+    header = new Uint8Array([FORMAT_VERSION, MODE_PASSPHRASE, ...salt]);
+  } else {
+    key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+    rawKey = new Uint8Array(await crypto.subtle.exportKey('raw', key));
+    header = new Uint8Array([FORMAT_VERSION, MODE_KEY]);
+  }
+
+  const ciphertext = new Uint8Array(await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(shareId) },
+    key,
+    plaintext
+  ));
+  const data = new Uint8Array([...header, ...iv, ...ciphertext]);
+
+  return SHARE_HASH_PREFIX + [shareId, toBase64Url(data), rawKey && toBase64Url(rawKey)].filter(Boolean).join('.');
+}
+
+/**
+ * 解析分享链接的 # 片段（不解密）
+ * @param {string} hash - location.hash
+ * @returns {Object|null} { id, data, key, needsPassphrase }，不是分享链接或格式错误时返回 null
+ */
+export function parseShareFragment(hash) {
+  if (!hash || !hash.startsWith(SHARE_HASH_PREFIX)) {
+    return null;
+  }
+
+  const [id, data, key, ...rest] = hash.slice(SHARE_HASH_PREFIX.length).split('.');
+  if (!id || !data || rest.length || !/^[0-9a-f]+$/.test(id)) {
+    return null;
+  }
+
+  try {
+    const parsed = { id, data: fromBase64Url(data), key: key ? fromBase64Url(key) : null };
+    const mode = parsed.data[1];
+    if (parsed.data[0] !== FORMAT_VERSION || (mode === MODE_KEY) !== !!parsed.key || (mode !== MODE_KEY && mode !== MODE_PASSPHRASE)) {
+      return null;
+    }
+    return { ...parsed, needsPassphrase: mode === MODE_PASSPHRASE };
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * 解密分享内容
+ * @param {Object} parsed - parseShareFragment 的结果
+ * @param {string} passphrase - 口令模式下的口令
+ * @returns {Promise<Object>} 见 decodeSharePayload
+ */
+export async function openShareFragment(parsed, passphrase) {
+  const { id, data } = parsed;
+  let offset = 2;
+  let plaintext;
+  try {
+    let key;
+    if (parsed.needsPassphrase) {
+      key = await deriveKey(passphrase || '', data.slice(offset, offset + SALT_BYTES));
+      offset += SALT_BYTES;
+    } else {
+      key = await crypto.subtle.importKey('raw', parsed.key, 'AES-GCM', false, ['decrypt']);
+    }
+
+    plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: data.slice(offset, offset + IV_BYTES), additionalData: new TextEncoder().encode(id) },
+      key,
+      data.slice(offset + IV_BYTES)
+    );
+  } catch (e) {
+    throw parsed.needsPassphrase
+      ? shareError('SHARE_PASSPHRASE', '口令错误')
+      : shareError('SHARE_INVALID', '分享内容已损坏');
+  }
+
+  return decodeSharePayload(new Uint8Array(plaintext));
+}
+
+/**
+ * 按分享内容重新计分，得到与 /api/result 相同结构的报告
+ * 作答有效性按答案重新检查，作答速度只保留作答过快的题数
+ * @param {Object} payload - 见 decodeSharePayload
+ * @returns {Object} 测试结果，timestamp 为原测试时间
+ */
+export function scoreSharePayload(payload) {
+  const { scaleId, scaleVersion, locale, answers, fastItems, completedAt } = payload;
+  const scored = calculateScaleResult(scaleId, answers, { version: scaleVersion, locale });
+  return {
+    ...scored,
+    timestamp: new Date(completedAt * 1000).toISOString(),
+    validity: evaluateValidity(getScale(scaleId, scaleVersion), answers, null, scored.locale, {
+      timing: fastItems ? { fastItems } : null
+    })
+  };
+}
@@ -0,0 +1,135 @@
+/**
+ * 作答有效性检查
+ *
+ * 提交时根据答案与每题的作答时间计算有效性指标，附加在结果的 validity 中：
+ * - 作答速度：按时间顺序，相邻两次作答的间隔记为后一题的用时；
+ *   用时不足 MIN_ITEM_SECONDS 秒的题目达到题目数的一半时视为过快
+ * - 连续相同答案：最长连续相同选项的题数达到题目数的一半（且不少于 STRAIGHT_LINE_MIN_ITEMS 题）
+ * - 前后矛盾：量表声明的内容相近题目对（consistencyPairs），按计分后的分值比较（反向题已反转），
+ *   相差超过选项范围一半的题目对达到 INCONSISTENT_PAIR_LIMIT 对
+ *
+ * 指标只用于提示用户与管理员，不改变计分结果。提示文字见语言包的 validity。
+ */
+
+import { getMessages } from '../data/locales/index.js';
+
+// 单题最短合理用时（秒）
+export const MIN_ITEM_SECONDS = 1;
+
+// 连续相同答案的最少题数
+export const STRAIGHT_LINE_MIN_ITEMS = 10;
+
+// 判定为前后矛盾的最少题目对数
+export const INCONSISTENT_PAIR_LIMIT = 2;
+
+// 过快 / 连续相同答案占题目数的比例
+const FLAG_ITEM_RATIO = 0.5;
+
+/**
+ * 整理客户端上报的作答时间
+ * @param {*} answerTimes - 每题最后一次作答的时间戳（毫秒）数组
+ * @param {number} length - 题目数
+ * @returns {Array} 长度为 length 的数组，无效或缺失的项为 null
+ */
+export function sanitizeAnswerTimes(answerTimes, length) {
+  const times = Array.isArray(answerTimes) && answerTimes.length === length ? answerTimes : [];
+  return Array.from({ length }, (_, i) =>
+    Number.isFinite(times[i]) && times[i] > 0 ? times[i] : null
+  );
+}
+
+const roundTo = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * 作答用时：按时间排序后，相邻两次作答的间隔记为后一题的用时
+ * @returns {Object|null} 有效时间少于两条时返回 null
+ */
+function measureTiming(answerTimes) {
+  const timed = answerTimes
+    .map((time, index) => ({ index, time }))
+    .filter(item => item.time !== null)
+    .sort((a, b) => a.time - b.time);
+  if (timed.length < 2) {
+    return null;
+  }
+
+  const itemSeconds = answerTimes.map(() => null);
+  for (let i = 1; i < timed.length; i++) {
+    itemSeconds[timed[i].index] = roundTo((timed[i].time - timed[i - 1].time) / 1000, 1);
+  }
+
+  const intervals = itemSeconds.filter(seconds => seconds !== null).sort((a, b) => a - b);
+  const middle = Math.floor(intervals.length / 2);
+  return {
+    totalSeconds: Math.round((timed[timed.length - 1].time - timed[0].time) / 1000),
+    medianItemSeconds: intervals.length % 2 ? intervals[middle] : roundTo((intervals[middle - 1] + intervals[middle]) / 2, 1),
+    fastItems: intervals.filter(seconds => seconds < MIN_ITEM_SECONDS).length,
+    itemSeconds
+  };
+}
+
+/**
+ * 最长连续相同答案
+ * @returns {Object} { value, length, startId }
+ */
+function findLongestRun(answers) {
+  let longest = { value: answers[0], length: 0, startId: 1 };
+  let start = 0;
+  for (let i = 1; i <= answers.length; i++) {
+    if (i === answers.length || answers[i] !== answers[start]) {
+      if (i - start > longest.length) {
+        longest = { value: answers[start], length: i - start, startId: start + 1 };
+      }
+      start = i;
+    }
+  }
+  return longest;
+}
+
+/**
+ * 计算作答有效性
+ * @param {Object} scale - 量表定义（见 data/scales）
+ * @param {Array} answers - 用户答案数组，索引0对应第1题
+ * @param {Array} answerTimes - sanitizeAnswerTimes 整理后的作答时间
+ * @param {string} locale - 提示文字的语言
+ * @param {Object} options - { timing }：已知的作答速度指标，提供时不再由 answerTimes 计算
+ *   （分享链接只保存 fastItems，见 utils/share.js）
+ * @returns {Object} { reliable, flags: [{ code, message }], timing, longestRun, consistency }
+ *   timing: { totalSeconds, medianItemSeconds, fastItems, itemSeconds }，没有作答时间时为 null；
+ *   consistency: { checkedPairs, inconsistentPairs: [{ items: [id, id], answers: [a, b] }] }
+ */
+export function evaluateValidity(scale, answers, answerTimes, locale, { timing = measureTiming(answerTimes) } = {}) {
+  const itemCount = answers.length;
+  const longestRun = findLongestRun(answers);
+
+  const values = scale.options.map(option => option.value);
+  const minValue = Math.min(...values);
+  const maxValue = Math.max(...values);
+  const itemScore = id => scale.questions[id - 1].reverse ? minValue + maxValue - answers[id - 1] : answers[id - 1];
+  const pairs = scale.consistencyPairs || [];
+  const consistency = {
+    checkedPairs: pairs.length,
+    inconsistentPairs: pairs
+      .filter(([a, b]) => Math.abs(itemScore(a) - itemScore(b)) > (maxValue - minValue) / 2)
+      .map(([a, b]) => ({ items: [a, b], answers: [answers[a - 1], answers[b - 1]] }))
+  };
+
+  const codes = [];
+  if (timing && timing.fastItems >= itemCount * FLAG_ITEM_RATIO) {
+    codes.push('too_fast');
+  }
+  if (longestRun.length >= Math.max(STRAIGHT_LINE_MIN_ITEMS, itemCount * FLAG_ITEM_RATIO)) {
+    codes.push('straight_lining');
+  }
+  if (consistency.inconsistentPairs.length >= INCONSISTENT_PAIR_LIMIT) {
+    codes.push('inconsistent');
+  }
+
+  const indicators = { timing, longestRun, consistency };
+  const flagMessages = getMessages(locale).validity;
+  return {
+    reliable: !codes.length,
+    flags: codes.map(code => ({ code, message: flagMessages[code]({ ...indicators, minItemSeconds: MIN_ITEM_SECONDS }) })),
+    ...indicators
+  };
+}
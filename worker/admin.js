@@ -0,0 +1,421 @@
+/**
+ * SCI-90 测试系统 - 管理后台 API
+ *
+ * 所有接口需携带请求头 Authorization: Bearer <管理员密码>，
+ * 密码以加盐的 PBKDF2 哈希保存在 admins 表中（见 passwords.js）。
+ *
+ * API 端点：
+ * - POST /api/admin/login                    - 校验管理员密码
+ * - POST /api/admin/tokens                   - 按订单号批量生成指定量表的测试链接
+ * - GET  /api/admin/users?q=&status=&scale=&safety=&validity=&campaign= - 按订单号 / 状态 / 量表 / 安全预警 / 作答有效性 / 筛查批次搜索链接
+ * - GET  /api/admin/users/:token             - 查看链接详情及测试结果
+ * - POST /api/admin/users/:token/reset-device - 解除设备绑定
+ * - POST /api/admin/users/:token/void        - 作废链接
+ * - POST /api/admin/users/:token/reissue     - 作废并为同一订单重新生成链接
+ * - POST /api/admin/users/:token/follow-up   - 标记安全预警已跟进
+ * - POST /api/admin/shares/:id/revoke        - 撤销报告分享链接（分享记录见链接详情的 shares）
+ * - GET  /api/admin/export?q=&status=&scale=&safety=&validity=&campaign= - 导出订单完成情况 CSV
+ * - /api/admin/campaigns/*                  - 团体筛查批次（见 campaigns.js）
+ */
+
+import { jsonResponse, readJson, generateToken, sha256 } from './http.js';
+import { hashPassword, verifyPassword } from './passwords.js';
+import { handleCampaigns } from './campaigns.js';
+import { listShares, revokeShare } from './shares.js';
+import { scales, getScale } from '../data/scales/index.js';
+import { getRiskLevels, parseStoredResult } from '../utils/calculator.js';
+
+// 链接状态
+const USER_STATUS_TEXT = {
+  pending: '待测试',
+  testing: '测试中',
+  completed: '已完成',
+  voided: '已作废',
+};
+
+// 安全预警级别
+const SAFETY_ALERT_TEXT = {
+  high: '高危',
+  elevated: '需关注',
+};
+
+// 安全预警筛选条件
+const SAFETY_FILTERS = {
+  pending: 'safety_alert IS NOT NULL AND safety_followed_up_at IS NULL',
+  all: 'safety_alert IS NOT NULL',
+};
+
+// 作答有效性异常类型（规则见 utils/validity.js）
+const VALIDITY_FLAG_TEXT = {
+  too_fast: '作答过快',
+  straight_lining: '连续相同答案',
+  inconsistent: '前后矛盾',
+};
+
+// 单次批量生成的订单数上限（D1 batch 语句数有限）
+const MAX_BATCH_SIZE = 200;
+
+// 列表查询的单页上限
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * 管理后台路由分发
+ * @param {Request} request
+ * @param {Object} env - Worker 环境（含 DB）
+ * @param {URL} url
+ * @param {Object} corsHeaders
+ * @returns {Promise<Response>}
+ */
+export async function handleAdmin(request, env, url, corsHeaders) {
+  if (!(await isAuthorized(request, env))) {
+    return jsonResponse({ error: '管理员密码错误', code: 'UNAUTHORIZED' }, corsHeaders, 401);
+  }
+
+  const path = url.pathname;
+  const method = request.method;
+
+  if (path === '/api/admin/login' && method === 'POST') {
+    return jsonResponse({ success: true }, corsHeaders);
+  }
+
+  if (path === '/api/admin/tokens' && method === 'POST') {
+    return await createTokens(request, env, corsHeaders);
+  }
+
+  if (path === '/api/admin/users' && method === 'GET') {
+    return await listUsers(url, env, corsHeaders);
+  }
+
+  if (path === '/api/admin/export' && method === 'GET') {
+    return await exportUsers(url, env, corsHeaders);
+  }
+
+  if (path.startsWith('/api/admin/campaigns')) {
+    return await handleCampaigns(request, env, url, corsHeaders);
+  }
+
+  const shareMatch = path.match(/^\/api\/admin\/shares\/([0-9a-f]+)\/revoke$/);
+  if (shareMatch && method === 'POST') {
+    return await revokeShare(shareMatch[1], null, env, corsHeaders);
+  }
+
+  const match = path.match(/^\/api\/admin\/users\/([^/]+)(?:\/(reset-device|void|reissue|follow-up))?$/);
+  if (match) {
+    const [, token, action] = match;
+
+    if (!action && method === 'GET') {
+      return await getUser(token, env, corsHeaders);
+    }
+
+    if (action && method === 'POST') {
+      const actions = { 'reset-device': resetDevice, void: voidToken, reissue: reissueToken, 'follow-up': followUpAlert };
+      return await actions[action](token, env, corsHeaders);
+    }
+  }
+
+  return jsonResponse({ error: 'Not found' }, corsHeaders, 404);
+}
+
+// 本实例内已校验通过的密码：admins.password → 密码的 SHA-256，
+// 管理后台每个请求都携带密码，避免每次重新计算 PBKDF2；记录改写后旧的键自然失效
+const verifiedPasswords = new Map();
+
+/**
+ * 校验 Authorization 请求头中的管理员密码
+ * 密码加盐保存，无法按哈希查询，逐个比对管理员记录；旧格式（明文 / 无盐 SHA-256）的记录校验通过后改写为 PBKDF2
+ */
+async function isAuthorized(request, env) {
+  const header = request.headers.get('Authorization') || '';
+  const password = header.startsWith('Bearer ') ? header.slice(7) : '';
+  if (!password) {
+    return false;
+  }
+
+  const passwordDigest = await sha256(password);
+  const { results: admins } = await env.DB.prepare('SELECT id, password FROM admins').all();
+  if (admins.some(admin => verifiedPasswords.get(admin.password) === passwordDigest)) {
+    return true;
+  }
+
+  for (const admin of admins) {
+    const { valid, needsUpgrade } = await verifyPassword(password, admin.password);
+    if (!valid) continue;
+
+    let stored = admin.password;
+    if (needsUpgrade) {
+      stored = await hashPassword(password);
+      await env.DB.prepare('UPDATE admins SET password = ? WHERE id = ?').bind(stored, admin.id).run();
+    }
+    verifiedPasswords.set(stored, passwordDigest);
+    return true;
+  }
+  return false;
+}
+
+/**
+ * 根据查询参数构建 WHERE 子句
+ * - q: 订单号（模糊匹配）
+ * - status: 链接状态
+ * - scale: 量表
+ * - safety: 安全预警（pending 待跟进 / all 全部）
+ * - validity: 作答有效性（flagged 存在异常）
+ * - campaign: 团体筛查批次 ID
+ */
+function buildUserFilter(url) {
+  const conditions = [];
+  const params = [];
+
+  const q = (url.searchParams.get('q') || '').trim();
+  if (q) {
+    conditions.push('order_id LIKE ?');
+    params.push(`%${q}%`);
+  }
+
+  const status = url.searchParams.get('status');
+  if (USER_STATUS_TEXT[status]) {
+    conditions.push('status = ?');
+    params.push(status);
+  }
+
+  const scale = url.searchParams.get('scale');
+  if (scale && Object.hasOwn(scales, scale)) {
+    conditions.push('scale = ?');
+    params.push(scale);
+  }
+
+  const safety = url.searchParams.get('safety');
+  if (SAFETY_FILTERS[safety]) {
+    conditions.push(SAFETY_FILTERS[safety]);
+  }
+
+  if (url.searchParams.get('validity') === 'flagged') {
+    conditions.push('validity_flags IS NOT NULL');
+  }
+
+  const campaign = parseInt(url.searchParams.get('campaign'), 10);
+  if (campaign > 0) {
+    conditions.push('campaign_id = ?');
+    params.push(campaign);
+  }
+
+  return {
+    where: conditions.length ? `WHERE ${conditions.join(' AND ')}` : '',
+    params,
+  };
+}
+
+/**
+ * API: 批量生成测试链接
+ * POST /api/admin/tokens  { orderIds: string[], scale?: string, note?: string }
+ *
+ * 已有同一量表未作废链接的订单不会重复生成，在 skipped 中返回已有 token。
+ */
+async function createTokens(request, env, corsHeaders) {
+  const { orderIds, note, scale: scaleId } = await readJson(request);
+  const scale = getScale(scaleId);
+  if (!scale) {
+    return jsonResponse({ error: '量表不存在', code: 'UNKNOWN_SCALE' }, corsHeaders, 400);
+  }
+
+  const uniqueIds = Array.isArray(orderIds)
+    ? [...new Set(orderIds.map(id => String(id).trim()).filter(Boolean))]
+    : [];
+  if (!uniqueIds.length) {
+    return jsonResponse({ error: '请输入订单号', code: 'BAD_REQUEST' }, corsHeaders, 400);
+  }
+  if (uniqueIds.length > MAX_BATCH_SIZE) {
+    return jsonResponse({ error: `单次最多生成 ${MAX_BATCH_SIZE} 个链接`, code: 'BAD_REQUEST' }, corsHeaders, 400);
+  }
+
+  const placeholders = uniqueIds.map(() => '?').join(', ');
+  const { results: existing } = await env.DB.prepare(
+    `SELECT token, order_id, scale FROM users WHERE status != 'voided' AND scale = ? AND order_id IN (${placeholders})`
+  ).bind(scale.id, ...uniqueIds).all();
+  const existingIds = new Set(existing.map(row => row.order_id));
+
+  const created = uniqueIds
+    .filter(orderId => !existingIds.has(orderId))
+    .map(orderId => ({ token: generateToken(), order_id: orderId, scale: scale.id }));
+
+  if (created.length) {
+    const statement = env.DB.prepare('INSERT INTO users (token, order_id, scale, note) VALUES (?, ?, ?, ?)');
+    await env.DB.batch(created.map(row => statement.bind(row.token, row.order_id, row.scale, note || null)));
+  }
+
+  return jsonResponse({ success: true, data: { created, skipped: existing } }, corsHeaders);
+}
+
+/**
+ * API: 搜索链接
+ * GET /api/admin/users?q=&status=&scale=&safety=&validity=&campaign=&limit=&offset=
+ */
+async function listUsers(url, env, corsHeaders) {
+  const { where, params } = buildUserFilter(url);
+  const limit = Math.min(parseInt(url.searchParams.get('limit'), 10) || 20, MAX_PAGE_SIZE);
+  const offset = Math.max(parseInt(url.searchParams.get('offset'), 10) || 0, 0);
+
+  const { results } = await env.DB.prepare(
+    `SELECT token, order_id, scale, note, campaign_id, cohort, status, created_at, first_access_at, completed_at,
+            device_id IS NOT NULL AS device_bound, progress, safety_alert, safety_followed_up_at, validity_flags
+     FROM users ${where}
+     ORDER BY created_at DESC
+     LIMIT ? OFFSET ?`
+  ).bind(...params, limit, offset).all();
+
+  const { total } = await env.DB.prepare(`SELECT COUNT(*) AS total FROM users ${where}`)
+    .bind(...params)
+    .first();
+
+  return jsonResponse({ success: true, data: { users: results, total } }, corsHeaders);
+}
+
+/**
+ * API: 链接详情（含答案、测试结果与分享记录）
+ * GET /api/admin/users/:token
+ */
+async function getUser(token, env, corsHeaders) {
+  const user = await env.DB.prepare('SELECT * FROM users WHERE token = ?').bind(token).first();
+  if (!user) {
+    return jsonResponse({ error: '链接不存在', code: 'INVALID_TOKEN' }, corsHeaders, 404);
+  }
+
+  return jsonResponse({
+    success: true,
+    data: {
+      ...user,
+      answers: user.answers ? JSON.parse(user.answers) : null,
+      result: user.result ? parseStoredResult(user) : null,
+      shares: await listShares(env, token),
+    },
+  }, corsHeaders);
+}
+
+/**
+ * API: 解除设备绑定，用户可在新设备上重新打开链接
+ * POST /api/admin/users/:token/reset-device
+ */
+async function resetDevice(token, env, corsHeaders) {
+  const { meta } = await env.DB.prepare('UPDATE users SET device_id = NULL WHERE token = ?')
+    .bind(token)
+    .run();
+  if (!meta.changes) {
+    return jsonResponse({ error: '链接不存在', code: 'INVALID_TOKEN' }, corsHeaders, 404);
+  }
+
+  return jsonResponse({ success: true }, corsHeaders);
+}
+
+/**
+ * API: 作废链接
+ * POST /api/admin/users/:token/void
+ */
+async function voidToken(token, env, corsHeaders) {
+  const { meta } = await env.DB.prepare("UPDATE users SET status = 'voided' WHERE token = ?")
+    .bind(token)
+    .run();
+  if (!meta.changes) {
+    return jsonResponse({ error: '链接不存在', code: 'INVALID_TOKEN' }, corsHeaders, 404);
+  }
+
+  return jsonResponse({ success: true }, corsHeaders);
+}
+
+/**
+ * API: 重新生成链接
+ * POST /api/admin/users/:token/reissue
+ *
+ * 原链接作废，为同一订单生成一条全新的链接（不继承作答进度，保留所属筛查批次与分组）。
+ */
+async function reissueToken(token, env, corsHeaders) {
+  const user = await env.DB.prepare('SELECT order_id, scale, note, campaign_id, cohort FROM users WHERE token = ?').bind(token).first();
+  if (!user) {
+    return jsonResponse({ error: '链接不存在', code: 'INVALID_TOKEN' }, corsHeaders, 404);
+  }
+
+  const newToken = generateToken();
+  await env.DB.batch([
+    env.DB.prepare("UPDATE users SET status = 'voided' WHERE token = ?").bind(token),
+    env.DB.prepare('INSERT INTO users (token, order_id, scale, note, campaign_id, cohort) VALUES (?, ?, ?, ?, ?, ?)')
+      .bind(newToken, user.order_id, user.scale, user.note, user.campaign_id, user.cohort),
+  ]);
+
+  return jsonResponse({ success: true, data: { token: newToken, order_id: user.order_id, scale: user.scale } }, corsHeaders);
+}
+
+/**
+ * API: 标记安全预警已跟进
+ * POST /api/admin/users/:token/follow-up
+ */
+async function followUpAlert(token, env, corsHeaders) {
+  const { meta } = await env.DB.prepare(
+    'UPDATE users SET safety_followed_up_at = CURRENT_TIMESTAMP WHERE token = ? AND safety_alert IS NOT NULL'
+  ).bind(token).run();
+  if (!meta.changes) {
+    return jsonResponse({ error: '该链接没有安全预警', code: 'NO_SAFETY_ALERT' }, corsHeaders, 404);
+  }
+
+  return jsonResponse({ success: true }, corsHeaders);
+}
+
+/**
+ * 风险等级名称，导出统一使用简体中文（结果中的等级名称为作答时选择的语言）
+ */
+function riskLevelText(scaleId, riskLevel) {
+  const level = riskLevel.bandIndex === undefined ? null : getRiskLevels(scaleId)[riskLevel.bandIndex];
+  return level ? level.level : riskLevel.level;
+}
+
+/**
+ * CSV 单元格转义
+ */
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * API: 导出订单完成情况
+ * GET /api/admin/export?q=&status=&scale=&safety=&validity=&campaign=
+ */
+async function exportUsers(url, env, corsHeaders) {
+  const { where, params } = buildUserFilter(url);
+  const { results } = await env.DB.prepare(
+    `SELECT order_id, token, scale, cohort, status, note, created_at, first_access_at, completed_at, progress, result, answers,
+            safety_alert, safety_followed_up_at, validity_flags
+     FROM users ${where}
+     ORDER BY created_at DESC`
+  ).bind(...params).all();
+
+  const header = ['订单号', 'token', '量表', '分组', '状态', '备注', '创建时间', '首次访问时间', '完成时间', '已答题数', '总分', '风险等级', '安全预警', '预警跟进时间', '作答有效性'];
+  const rows = results.map(user => {
+    const result = user.result ? parseStoredResult(user) : null;
+    return [
+      user.order_id,
+      user.token,
+      (getScale(user.scale) || { shortName: user.scale }).shortName,
+      user.cohort,
+      USER_STATUS_TEXT[user.status] || user.status,
+      user.note,
+      user.created_at,
+      user.first_access_at,
+      user.completed_at,
+      user.progress,
+      result ? result.totalScore : '',
+      result ? riskLevelText(user.scale, result.riskLevel) : '',
+      SAFETY_ALERT_TEXT[user.safety_alert] || '',
+      user.safety_followed_up_at,
+      user.validity_flags ? user.validity_flags.split(',').map(code => VALIDITY_FLAG_TEXT[code] || code).join('、') : '',
+    ];
+  });
+
+  // 加 BOM，保证 Excel 正确识别中文
+  const csv = '\uFEFF' + [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n');
+
+  return new Response(csv, {
+    headers: {
+      ...corsHeaders,
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': 'attachment; filename="sci90-orders.csv"',
+    },
+  });
+}
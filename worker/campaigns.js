@@ -0,0 +1,234 @@
+/**
+ * SCI-90 测试系统 - 团体筛查 API（学校、企业等机构的批量筛查）
+ *
+ * 由 admin.js 在管理员鉴权后分发。批次内的链接与个人订单链接同样保存在 users 表，
+ * 通过 campaign_id / cohort 归属到批次与分组；统计接口只返回匿名汇总（见 utils/aggregate.js）。
+ *
+ * API 端点：
+ * - GET  /api/admin/campaigns            - 批次列表及完成率
+ * - POST /api/admin/campaigns            - 创建批次
+ * - POST /api/admin/campaigns/:id/tokens - 按分组批量生成链接
+ * - GET  /api/admin/campaigns/:id/stats  - 各分组完成率与匿名汇总统计
+ */
+
+import { jsonResponse, readJson, generateToken } from './http.js';
+import { getScale } from '../data/scales/index.js';
+import { aggregateByCohort, MIN_GROUP_SIZE } from '../utils/aggregate.js';
+import { parseStoredResult } from '../utils/calculator.js';
+
+// 单次生成的链接数上限（D1 batch 语句数有限）
+const MAX_LINKS_PER_REQUEST = 200;
+
+// 批次内各分组的链接数与完成数（作废链接不计入）
+const COMPLETION_COLUMNS = `COUNT(*) AS issued,
+  SUM(CASE WHEN status IN ('testing', 'completed') THEN 1 ELSE 0 END) AS started,
+  SUM(CASE WHEN status = 'completed' THEN 1 ELSE 0 END) AS completed`;
+
+/**
+ * 团体筛查路由分发
+ * @param {Request} request
+ * @param {Object} env - Worker 环境（含 DB）
+ * @param {URL} url
+ * @param {Object} corsHeaders
+ * @returns {Promise<Response>}
+ */
+export async function handleCampaigns(request, env, url, corsHeaders) {
+  const path = url.pathname;
+  const method = request.method;
+
+  if (path === '/api/admin/campaigns') {
+    if (method === 'GET') {
+      return await listCampaigns(env, corsHeaders);
+    }
+    if (method === 'POST') {
+      return await createCampaign(request, env, corsHeaders);
+    }
+  }
+
+  const match = path.match(/^\/api\/admin\/campaigns\/(\d+)\/(tokens|stats)$/);
+  if (match) {
+    const [, id, action] = match;
+
+    if (action === 'tokens' && method === 'POST') {
+      return await createCampaignTokens(Number(id), request, env, corsHeaders);
+    }
+
+    if (action === 'stats' && method === 'GET') {
+      return await getCampaignStats(Number(id), env, corsHeaders);
+    }
+  }
+
+  return jsonResponse({ error: 'Not found' }, corsHeaders, 404);
+}
+
+/**
+ * 完成率（保留三位小数），没有链接时为 0
+ */
+function completionRate(row) {
+  return row.issued ? Math.round(row.completed / row.issued * 1000) / 1000 : 0;
+}
+
+/**
+ * 查询批次（含机构名称）
+ */
+async function findCampaign(id, env) {
+  return await env.DB.prepare(
+    `SELECT c.id, c.name, c.scale, c.note, c.created_at, o.name AS organization
+     FROM campaigns c JOIN organizations o ON o.id = c.organization_id
+     WHERE c.id = ?`
+  ).bind(id).first();
+}
+
+function campaignNotFound(corsHeaders) {
+  return jsonResponse({ error: '筛查批次不存在', code: 'CAMPAIGN_NOT_FOUND' }, corsHeaders, 404);
+}
+
+/**
+ * API: 批次列表
+ * GET /api/admin/campaigns
+ */
+async function listCampaigns(env, corsHeaders) {
+  const { results } = await env.DB.prepare(
+    `SELECT c.id, c.name, c.scale, c.note, c.created_at, o.name AS organization
+     FROM campaigns c JOIN organizations o ON o.id = c.organization_id
+     ORDER BY c.created_at DESC, c.id DESC`
+  ).all();
+
+  const { results: completionRows } = await env.DB.prepare(
+    `SELECT campaign_id, ${COMPLETION_COLUMNS}
+     FROM users WHERE campaign_id IS NOT NULL AND status != 'voided'
+     GROUP BY campaign_id`
+  ).all();
+  const completionById = new Map(completionRows.map(row => [row.campaign_id, row]));
+
+  const campaigns = results.map(campaign => {
+    const { issued = 0, started = 0, completed = 0 } = completionById.get(campaign.id) || {};
+    return { ...campaign, issued, started, completed, completionRate: completionRate({ issued, completed }) };
+  });
+
+  return jsonResponse({ success: true, data: { campaigns } }, corsHeaders);
+}
+
+/**
+ * API: 创建批次
+ * POST /api/admin/campaigns  { organization, name, scale?, note? }
+ *
+ * 机构按名称归并，不存在时自动创建。
+ */
+async function createCampaign(request, env, corsHeaders) {
+  const body = await readJson(request);
+  const organization = String(body.organization || '').trim();
+  const name = String(body.name || '').trim();
+  if (!organization || !name) {
+    return jsonResponse({ error: '请填写机构名称与批次名称', code: 'BAD_REQUEST' }, corsHeaders, 400);
+  }
+
+  const scale = getScale(body.scale);
+  if (!scale) {
+    return jsonResponse({ error: '量表不存在', code: 'UNKNOWN_SCALE' }, corsHeaders, 400);
+  }
+
+  await env.DB.prepare('INSERT INTO organizations (name) VALUES (?) ON CONFLICT(name) DO NOTHING').bind(organization).run();
+  const org = await env.DB.prepare('SELECT id FROM organizations WHERE name = ?').bind(organization).first();
+
+  const { meta } = await env.DB.prepare(
+    'INSERT INTO campaigns (organization_id, name, scale, note) VALUES (?, ?, ?, ?)'
+  ).bind(org.id, name, scale.id, body.note || null).run();
+
+  return jsonResponse({ success: true, data: await findCampaign(meta.last_row_id, env) }, corsHeaders);
+}
+
+/**
+ * API: 按分组批量生成链接
+ * POST /api/admin/campaigns/:id/tokens  { cohorts: [{ name, count }] }
+ *
+ * 链接的订单号按批次编号（C<批次ID>-<序号>），不含任何个人信息。
+ */
+async function createCampaignTokens(id, request, env, corsHeaders) {
+  const campaign = await findCampaign(id, env);
+  if (!campaign) {
+    return campaignNotFound(corsHeaders);
+  }
+
+  const { cohorts } = await readJson(request);
+  const groups = Array.isArray(cohorts)
+    ? cohorts
+      .map(group => ({ name: String(group.name || '').trim(), count: parseInt(group.count, 10) }))
+      .filter(group => group.name && group.count > 0)
+    : [];
+  if (!groups.length) {
+    return jsonResponse({ error: '请填写分组名称与人数', code: 'BAD_REQUEST' }, corsHeaders, 400);
+  }
+
+  const total = groups.reduce((sum, group) => sum + group.count, 0);
+  if (total > MAX_LINKS_PER_REQUEST) {
+    return jsonResponse({ error: `单次最多生成 ${MAX_LINKS_PER_REQUEST} 个链接`, code: 'BAD_REQUEST' }, corsHeaders, 400);
+  }
+
+  const { issued } = await env.DB.prepare('SELECT COUNT(*) AS issued FROM users WHERE campaign_id = ?').bind(id).first();
+
+  const created = [];
+  for (const group of groups) {
+    for (let i = 0; i < group.count; i++) {
+      const sequence = issued + created.length + 1;
+      created.push({
+        token: generateToken(),
+        order_id: `C${id}-${String(sequence).padStart(4, '0')}`,
+        scale: campaign.scale,
+        cohort: group.name,
+      });
+    }
+  }
+
+  const statement = env.DB.prepare('INSERT INTO users (token, order_id, scale, campaign_id, cohort) VALUES (?, ?, ?, ?, ?)');
+  await env.DB.batch(created.map(row => statement.bind(row.token, row.order_id, row.scale, id, row.cohort)));
+
+  return jsonResponse({ success: true, data: { created } }, corsHeaders);
+}
+
+/**
+ * API: 批次统计
+ * GET /api/admin/campaigns/:id/stats
+ *
+ * 返回各分组的链接数、开始人数、完成人数与完成率，以及已完成结果的匿名汇总。
+ * 完成人数不足 minGroupSize 的分组与人数过少的单元格不返回统计值。
+ */
+async function getCampaignStats(id, env, corsHeaders) {
+  const campaign = await findCampaign(id, env);
+  if (!campaign) {
+    return campaignNotFound(corsHeaders);
+  }
+
+  const { results: completionRows } = await env.DB.prepare(
+    `SELECT cohort, ${COMPLETION_COLUMNS}
+     FROM users WHERE campaign_id = ? AND status != 'voided'
+     GROUP BY cohort ORDER BY cohort`
+  ).bind(id).all();
+
+  const completion = completionRows.map(row => ({ ...row, completionRate: completionRate(row) }));
+  const totals = completion.reduce((sum, row) => ({
+    issued: sum.issued + row.issued,
+    started: sum.started + row.started,
+    completed: sum.completed + row.completed,
+  }), { issued: 0, started: 0, completed: 0 });
+
+  const { results: resultRows } = await env.DB.prepare(
+    "SELECT cohort, scale, result, answers FROM users WHERE campaign_id = ? AND status = 'completed' AND result IS NOT NULL"
+  ).bind(id).all();
+
+  const statistics = aggregateByCohort(
+    campaign.scale,
+    resultRows.map(row => ({ cohort: row.cohort, result: parseStoredResult(row) }))
+  );
+
+  return jsonResponse({
+    success: true,
+    data: {
+      campaign,
+      minGroupSize: MIN_GROUP_SIZE,
+      completion,
+      totals: { ...totals, completionRate: completionRate(totals) },
+      statistics,
+    },
+  }, corsHeaders);
+}
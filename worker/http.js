@@ -0,0 +1,49 @@
+/**
+ * Worker 通用 HTTP 工具
+ */
+
+/**
+ * 生成 JSON 响应
+ * @param {Object} body - 响应内容
+ * @param {Object} corsHeaders - CORS 响应头
+ * @param {number} status - HTTP 状态码
+ * @returns {Response}
+ */
+export function jsonResponse(body, corsHeaders, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+  });
+}
+
+/**
+ * 读取请求体中的 JSON，解析失败时返回空对象
+ * @param {Request} request
+ * @returns {Promise<Object>}
+ */
+export async function readJson(request) {
+  try {
+    return await request.json();
+  } catch (e) {
+    return {};
+  }
+}
+
+/**
+ * 生成随机链接 token（32 位十六进制）
+ * @returns {string}
+ */
+export function generateToken() {
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * 计算字符串的 SHA-256（十六进制）
+ * @param {string} text
+ * @returns {Promise<string>}
+ */
+export async function sha256(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+}
@@ -2,15 +2,34 @@
  * SCI-90 测试系统 - Cloudflare Workers API
  *
  * API 端点：
- * - GET /api/questions - 获取题目列表
+ * - GET  /api/questions?scale=&version=&locale= - 获取量表定义（题目、选项等，默认 SCL-90 的当前版本），支持 ETag 缓存
+ * - POST /api/verify    - 校验 token 链接，记录首次访问并绑定设备
+ * - POST /api/start     - 开始测试（pending → testing）
+ * - PUT  /api/progress  - 保存作答进度
+ * - POST /api/submit    - 提交答案，服务端计算并保存结果（→ completed）
+ * - GET  /api/result/:token - 获取已保存的测试报告
+ * - GET  /api/report/:token - 获取完整报告（含逐题作答与因子解读，用于导出 PDF）
+ * - GET  /api/history/:token?deviceId= - 获取同一设备的历史报告，用于纵向对比
+ * - /api/shares/*       - 报告分享链接的登记、状态与撤销（见 shares.js）
+ * - /api/admin/*        - 管理后台接口（见 admin.js）
  */
 
+import { jsonResponse, readJson, sha256 } from './http.js';
+import { handleAdmin } from './admin.js';
+import { handleShares } from './shares.js';
+import { calculateScaleResult, parseStoredResult } from '../utils/calculator.js';
+import { getChangeThresholds } from '../utils/norms.js';
+import { buildReportDetails } from '../utils/report.js';
+import { evaluateValidity, sanitizeAnswerTimes } from '../utils/validity.js';
+import { getScale, isValidScaleAnswer } from '../data/scales/index.js';
+import { localizeScale } from '../data/locales/index.js';
+
 export default {
   async fetch(request, env) {
     const corsHeaders = {
       'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type',
+      'Access-Control-Allow-Methods': 'GET, POST, PUT, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
     };
 
     // 处理 OPTIONS 预检请求
@@ -24,123 +43,393 @@ export default {
     try {
       // 路由分发
       if (path === '/api/questions' && request.method === 'GET') {
-        return await getQuestions(corsHeaders);
+        return await getQuestions(request, url, corsHeaders);
+      }
+
+      if (path === '/api/verify' && request.method === 'POST') {
+        return await verifyAccess(request, env, corsHeaders);
+      }
+
+      if (path === '/api/start' && request.method === 'POST') {
+        return await startTest(request, env, corsHeaders);
+      }
+
+      if (path === '/api/progress' && request.method === 'PUT') {
+        return await saveProgress(request, env, corsHeaders);
+      }
+
+      if (path === '/api/submit' && request.method === 'POST') {
+        return await submitTest(request, env, corsHeaders);
+      }
+
+      const resultMatch = path.match(/^\/api\/result\/([^/]+)$/);
+      if (resultMatch && request.method === 'GET') {
+        return await getResult(resultMatch[1], env, corsHeaders);
+      }
+
+      const reportMatch = path.match(/^\/api\/report\/([^/]+)$/);
+      if (reportMatch && request.method === 'GET') {
+        return await getReport(reportMatch[1], env, corsHeaders);
+      }
+
+      const historyMatch = path.match(/^\/api\/history\/([^/]+)$/);
+      if (historyMatch && request.method === 'GET') {
+        return await getHistory(historyMatch[1], url, env, corsHeaders);
+      }
+
+      if (path === '/api/shares' || path.startsWith('/api/shares/')) {
+        return await handleShares(request, env, url, corsHeaders);
+      }
+
+      if (path.startsWith('/api/admin/')) {
+        return await handleAdmin(request, env, url, corsHeaders);
       }
 
       // 404
-      return new Response(JSON.stringify({ error: 'Not found' }), {
-        status: 404,
-        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
-      });
+      return jsonResponse({ error: 'Not found' }, corsHeaders, 404);
 
     } catch (error) {
-      return new Response(JSON.stringify({ error: error.message }), {
-        status: 500,
-        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
-      });
+      return jsonResponse({ error: error.message }, corsHeaders, 500);
     }
   },
 };
 
 /**
- * API: 获取题目列表
- * GET /api/questions
+ * 访问错误码
+ * - BAD_REQUEST: 缺少 token 或设备标识
+ * - INVALID_TOKEN: token 不存在
+ * - LINK_VOIDED: 链接已被管理员作废
+ * - ALREADY_USED: 测试已完成，链接不能再次作答
+ * - DEVICE_MISMATCH: 链接已绑定其他设备
+ */
+const accessErrors = {
+  BAD_REQUEST: { status: 400, error: '缺少 token 或设备标识' },
+  INVALID_TOKEN: { status: 404, error: '链接无效' },
+  LINK_VOIDED: { status: 410, error: '链接已作废' },
+  ALREADY_USED: { status: 410, error: '链接已使用' },
+  DEVICE_MISMATCH: { status: 403, error: '链接已绑定其他设备' },
+};
+
+function accessErrorResponse(code, corsHeaders) {
+  const { status, error } = accessErrors[code];
+  return jsonResponse({ error, code }, corsHeaders, status);
+}
+
+/**
+ * 按 token 查询用户，并校验请求参数、链接状态与设备绑定
+ * @param {Object} env - Worker 环境（含 DB）
+ * @param {string} token - 链接 token
+ * @param {string} deviceId - 设备标识
+ * @returns {Promise<{user: Object|null, code: string|null}>}
+ */
+async function findAuthorizedUser(env, token, deviceId) {
+  if (!token || !deviceId || typeof token !== 'string' || typeof deviceId !== 'string') {
+    return { user: null, code: 'BAD_REQUEST' };
+  }
+
+  const user = await env.DB.prepare(
+    'SELECT token, scale, status, device_id, progress, answers, answer_times FROM users WHERE token = ?'
+  ).bind(token).first();
+
+  if (!user) {
+    return { user: null, code: 'INVALID_TOKEN' };
+  }
+
+  if (user.status === 'voided') {
+    return { user, code: 'LINK_VOIDED' };
+  }
+
+  if (user.status === 'completed') {
+    return { user, code: 'ALREADY_USED' };
+  }
+
+  if (user.device_id && user.device_id !== deviceId) {
+    return { user, code: 'DEVICE_MISMATCH' };
+  }
+
+  return { user, code: null };
+}
+
+/**
+ * API: 校验链接
+ * POST /api/verify  { token, deviceId }
+ *
+ * 首次访问时记录 first_access_at 并将链接绑定到当前设备。
+ */
+async function verifyAccess(request, env, corsHeaders) {
+  const { token, deviceId } = await readJson(request);
+  const { user, code } = await findAuthorizedUser(env, token, deviceId);
+  if (code) {
+    return accessErrorResponse(code, corsHeaders);
+  }
+
+  if (!user.device_id) {
+    // 仅在尚未绑定时写入，避免两台设备同时首次打开时互相覆盖
+    const { meta } = await env.DB.prepare(
+      'UPDATE users SET device_id = ?, first_access_at = CURRENT_TIMESTAMP WHERE token = ? AND device_id IS NULL'
+    ).bind(deviceId, token).run();
+
+    if (!meta.changes) {
+      return accessErrorResponse('DEVICE_MISMATCH', corsHeaders);
+    }
+  }
+
+  return jsonResponse({
+    success: true,
+    data: {
+      scale: getScale(user.scale).id,
+      status: user.status,
+      progress: user.progress,
+      answers: user.answers ? JSON.parse(user.answers) : null,
+      answerTimes: user.answer_times ? JSON.parse(user.answer_times) : null,
+    },
+  }, corsHeaders);
+}
+
+/**
+ * API: 开始测试
+ * POST /api/start  { token, deviceId }
+ */
+async function startTest(request, env, corsHeaders) {
+  const { token, deviceId } = await readJson(request);
+  const { user, code } = await findAuthorizedUser(env, token, deviceId);
+  if (code) {
+    return accessErrorResponse(code, corsHeaders);
+  }
+
+  // 必须先通过 /api/verify 完成设备绑定
+  if (!user.device_id) {
+    return accessErrorResponse('DEVICE_MISMATCH', corsHeaders);
+  }
+
+  await env.DB.prepare(
+    "UPDATE users SET status = 'testing' WHERE token = ? AND status = 'pending'"
+  ).bind(token).run();
+
+  return jsonResponse({ success: true, data: { status: 'testing' } }, corsHeaders);
+}
+
+/**
+ * API: 保存作答进度
+ * PUT /api/progress  { token, deviceId, answers, answerTimes? }
+ *
+ * answers 的长度与量表题目数一致，未作答的题目为 null；progress 记录已作答题数。
+ * answerTimes 为每题最后一次作答的时间戳（毫秒），用于提交时的有效性检查。
  */
-async function getQuestions(corsHeaders) {
-  const questions = [
-    { id: 1, text: "头痛", dimension: "躯体化" },
-    { id: 2, text: "神经过敏，心中不踏实", dimension: "强迫症状" },
-    { id: 3, text: "头脑中有不必要的想法或字句盘旋", dimension: "强迫症状" },
-    { id: 4, text: "头昏或昏倒", dimension: "躯体化" },
-    { id: 5, text: "对异性的兴趣减退", dimension: "人际关系敏感" },
-    { id: 6, text: "对旁人责骂求全", dimension: "敌对" },
-    { id: 7, text: "感到别人能控制您的思想", dimension: "偏执" },
-    { id: 8, text: "责怪别人制造麻烦", dimension: "敌对" },
-    { id: 9, text: "忘性大", dimension: "强迫症状" },
-    { id: 10, text: "担心自己的衣饰整齐及仪态的端正", dimension: "强迫症状" },
-    { id: 11, text: "容易烦恼和激动", dimension: "敌对" },
-    { id: 12, text: "胸痛", dimension: "躯体化" },
-    { id: 13, text: "害怕空旷的场所或街道", dimension: "恐怖" },
-    { id: 14, text: "感到自己的精力下降，活动减慢", dimension: "抑郁" },
-    { id: 15, text: "想结束自己的生命", dimension: "抑郁" },
-    { id: 16, text: "听到旁人所听不到的声音", dimension: "精神病性" },
-    { id: 17, text: "发抖", dimension: "焦虑" },
-    { id: 18, text: "感到大多数人都不可信任", dimension: "人际关系敏感" },
-    { id: 19, text: "胃口不好", dimension: "躯体化" },
-    { id: 20, text: "容易哭泣", dimension: "抑郁" },
-    { id: 21, text: "同异性相处时感到害羞不自在", dimension: "人际关系敏感" },
-    { id: 22, text: "感到受骗，中了圈套或有人想抓您", dimension: "偏执" },
-    { id: 23, text: "无缘无故地突然感到害怕", dimension: "恐怖" },
-    { id: 24, text: "自己不能控制地发脾气", dimension: "敌对" },
-    { id: 25, text: "怕单独出门", dimension: "恐怖" },
-    { id: 26, text: "经常责怪自己", dimension: "抑郁" },
-    { id: 27, text: "腰痛", dimension: "躯体化" },
-    { id: 28, text: "感到难以完成任务", dimension: "强迫症状" },
-    { id: 29, text: "感到孤独", dimension: "人际关系敏感" },
-    { id: 30, text: "感到苦闷", dimension: "抑郁" },
-    { id: 31, text: "过分担忧", dimension: "焦虑" },
-    { id: 32, text: "对事物不感兴趣", dimension: "抑郁" },
-    { id: 33, text: "感到害怕", dimension: "恐怖" },
-    { id: 34, text: "您的感情容易受到伤害", dimension: "人际关系敏感" },
-    { id: 35, text: "旁人能知道您的私下想法", dimension: "精神病性" },
-    { id: 36, text: "感到别人不理解您、不同情您", dimension: "人际关系敏感" },
-    { id: 37, text: "感到人们对您不友好，不喜欢您", dimension: "人际关系敏感" },
-    { id: 38, text: "做事必须做得很慢以保证做得正确", dimension: "强迫症状" },
-    { id: 39, text: "心跳得很厉害", dimension: "焦虑" },
-    { id: 40, text: "恶心或胃部不舒服", dimension: "躯体化" },
-    { id: 41, text: "感到比不上别人", dimension: "人际关系敏感" },
-    { id: 42, text: "肌肉酸痛", dimension: "躯体化" },
-    { id: 43, text: "感到有人在监视您、谈论您", dimension: "偏执" },
-    { id: 44, text: "难以入睡", dimension: "抑郁" },
-    { id: 45, text: "做事必须反复检查", dimension: "强迫症状" },
-    { id: 46, text: "难以作出决定", dimension: "强迫症状" },
-    { id: 47, text: "怕乘电车、公共汽车、地铁或火车", dimension: "恐怖" },
-    { id: 48, text: "呼吸有困难", dimension: "焦虑" },
-    { id: 49, text: "一阵阵发冷或发热", dimension: "焦虑" },
-    { id: 50, text: "因为感到害怕而避开某些东西、场合或活动", dimension: "恐怖" },
-    { id: 51, text: "脑子变空了", dimension: "精神病性" },
-    { id: 52, text: "身体发麻或刺痛", dimension: "躯体化" },
-    { id: 53, text: "喉咙有梗塞感", dimension: "躯体化" },
-    { id: 54, text: "感到前途没有希望", dimension: "抑郁" },
-    { id: 55, text: "不能集中注意力", dimension: "强迫症状" },
-    { id: 56, text: "感到身体的某一部分软弱无力", dimension: "躯体化" },
-    { id: 57, text: "感到紧张或容易紧张", dimension: "焦虑" },
-    { id: 58, text: "感到手或脚发重", dimension: "躯体化" },
-    { id: 59, text: "想到死亡的事", dimension: "抑郁" },
-    { id: 60, text: "吃得太多", dimension: "躯体化" },
-    { id: 61, text: "当别人看着您或谈论您时感到不自在", dimension: "人际关系敏感" },
-    { id: 62, text: "有一些不属于您自己的想法", dimension: "精神病性" },
-    { id: 63, text: "有想打人或伤害他人的冲动", dimension: "敌对" },
-    { id: 64, text: "醒得太早", dimension: "抑郁" },
-    { id: 65, text: "必须反复洗手、点数目", dimension: "强迫症状" },
-    { id: 66, text: "睡得不稳不深", dimension: "抑郁" },
-    { id: 67, text: "有想摔坏或破坏东西的想法", dimension: "敌对" },
-    { id: 68, text: "有一些别人没有的想法或念头", dimension: "精神病性" },
-    { id: 69, text: "感到对别人神经过敏", dimension: "人际关系敏感" },
-    { id: 70, text: "在商店或电影院等人多的地方感到不自在", dimension: "恐怖" },
-    { id: 71, text: "感到任何事情都很困难", dimension: "抑郁" },
-    { id: 72, text: "一阵阵恐惧或惊恐", dimension: "恐怖" },
-    { id: 73, text: "感到公共场合吃东西很不舒服", dimension: "恐怖" },
-    { id: 74, text: "经常与人争论", dimension: "敌对" },
-    { id: 75, text: "单独一人时神经很紧张", dimension: "焦虑" },
-    { id: 76, text: "别人对您的成绩没有作出恰当的评价", dimension: "偏执" },
-    { id: 77, text: "即使和别人在一起也感到孤单", dimension: "人际关系敏感" },
-    { id: 78, text: "感到坐立不安心神不定", dimension: "焦虑" },
-    { id: 79, text: "感到自己没有什么价值", dimension: "抑郁" },
-    { id: 80, text: "感到熟悉的东西变成陌生或不真实", dimension: "精神病性" },
-    { id: 81, text: "大叫或摔东西", dimension: "敌对" },
-    { id: 82, text: "害怕会在公共场合昏倒", dimension: "恐怖" },
-    { id: 83, text: "感到别人想占您的便宜", dimension: "偏执" },
-    { id: 84, text: "为一些有关性的想法而很苦恼", dimension: "精神病性" },
-    { id: 85, text: "您认为应该因为自己的过错而受到惩罚", dimension: "精神病性" },
-    { id: 86, text: "感到要赶快把事情做完", dimension: "强迫症状" },
-    { id: 87, text: "感到自己的身体有严重问题", dimension: "躯体化" },
-    { id: 88, text: "从未感到和其他人很亲近", dimension: "人际关系敏感" },
-    { id: 89, text: "感到内疚", dimension: "抑郁" },
-    { id: 90, text: "认为自己的脑子有毛病", dimension: "精神病性" }
-  ];
-
-  return new Response(JSON.stringify({ success: true, data: questions }), {
-    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
-  });
+async function saveProgress(request, env, corsHeaders) {
+  const { token, deviceId, answers, answerTimes } = await readJson(request);
+  const { user, code } = await findAuthorizedUser(env, token, deviceId);
+  if (code) {
+    return accessErrorResponse(code, corsHeaders);
+  }
+
+  if (!user.device_id) {
+    return accessErrorResponse('DEVICE_MISMATCH', corsHeaders);
+  }
+
+  const scale = getScale(user.scale);
+  const isValid = Array.isArray(answers) && answers.length === scale.questions.length &&
+    answers.every(a => a === null || isValidScaleAnswer(scale, a));
+  if (!isValid) {
+    return jsonResponse({ error: '答案格式错误', code: 'BAD_REQUEST' }, corsHeaders, 400);
+  }
+
+  const progress = answers.filter(a => a !== null).length;
+  const times = sanitizeAnswerTimes(answerTimes, answers.length);
+  await env.DB.prepare(
+    "UPDATE users SET progress = ?, answers = ?, answer_times = ?, status = 'testing' WHERE token = ? AND status IN ('pending', 'testing')"
+  ).bind(progress, JSON.stringify(answers), JSON.stringify(times), token).run();
+
+  return jsonResponse({ success: true, data: { progress } }, corsHeaders);
+}
+
+/**
+ * API: 提交测试
+ * POST /api/submit  { token, deviceId, answers, answerTimes?, scaleVersion?, locale? }
+ *
+ * 每道题都必须是量表的有效选项；结果在服务端计算后写入 users.result，客户端不再自行计分。
+ * 报告按作答时的语言（locale，见 data/locales）生成并记录在结果中，之后始终以该语言展示。
+ * 结果附带作答有效性（validity），未上报 answerTimes 时使用进度同步时保存的作答时间。
+ * scaleVersion 为作答时题目所属的版本（离线时可能使用旧缓存），该版本已无法计分时返回 SCALE_OUTDATED。
+ */
+async function submitTest(request, env, corsHeaders) {
+  const { token, deviceId, answers, answerTimes, scaleVersion, locale } = await readJson(request);
+  const { user, code } = await findAuthorizedUser(env, token, deviceId);
+  if (code) {
+    return accessErrorResponse(code, corsHeaders);
+  }
+
+  if (!user.device_id) {
+    return accessErrorResponse('DEVICE_MISMATCH', corsHeaders);
+  }
+
+  const scale = getScale(user.scale, scaleVersion);
+  if (!scale) {
+    return jsonResponse({ error: '题库已更新，请刷新页面后重新作答', code: 'SCALE_OUTDATED' }, corsHeaders, 409);
+  }
+  const itemCount = scale.questions.length;
+  if (!Array.isArray(answers) || answers.length !== itemCount || !answers.every(a => isValidScaleAnswer(scale, a))) {
+    return jsonResponse({ error: `请完成全部 ${itemCount} 道题目后再提交`, code: 'INCOMPLETE_ANSWERS' }, corsHeaders, 400);
+  }
+
+  const times = sanitizeAnswerTimes(answerTimes || (user.answer_times && JSON.parse(user.answer_times)), itemCount);
+  const scored = calculateScaleResult(scale.id, answers, { version: scale.version, locale });
+  const result = {
+    ...scored,
+    validity: evaluateValidity(scale, answers, times, scored.locale),
+  };
+  const safetyAlert = result.safetyAlert ? result.safetyAlert.level : null;
+  const validityFlags = result.validity.flags.map(flag => flag.code).join(',') || null;
+  const { meta } = await env.DB.prepare(
+    `UPDATE users
+     SET answers = ?, answer_times = ?, progress = ?, result = ?, safety_alert = ?, validity_flags = ?,
+         status = 'completed', completed_at = CURRENT_TIMESTAMP
+     WHERE token = ? AND status IN ('pending', 'testing')`
+  ).bind(JSON.stringify(answers), JSON.stringify(times), itemCount, JSON.stringify(result), safetyAlert, validityFlags, token).run();
+
+  // 并发提交时只有第一次生效
+  if (!meta.changes) {
+    return accessErrorResponse('ALREADY_USED', corsHeaders);
+  }
+
+  return jsonResponse({ success: true, data: result }, corsHeaders);
+}
+
+/**
+ * API: 获取测试报告
+ * GET /api/result/:token
+ *
+ * 报告以服务端保存的结果为准，持有链接即可随时查看。
+ */
+async function getResult(token, env, corsHeaders) {
+  const user = await env.DB.prepare(
+    "SELECT scale, result, answers FROM users WHERE token = ? AND status = 'completed'"
+  ).bind(token).first();
+
+  if (!user || !user.result) {
+    return jsonResponse({ error: '报告不存在', code: 'RESULT_NOT_FOUND' }, corsHeaders, 404);
+  }
+
+  return jsonResponse({ success: true, data: parseStoredResult(user) }, corsHeaders);
+}
+
+/**
+ * API: 获取完整报告
+ * GET /api/report/:token
+ *
+ * 在报告基础上附加按因子分组的逐题作答与各因子解读，供前端生成 PDF。
+ */
+async function getReport(token, env, corsHeaders) {
+  const user = await env.DB.prepare(
+    "SELECT token, scale, result, answers, completed_at FROM users WHERE token = ? AND status = 'completed'"
+  ).bind(token).first();
+
+  if (!user || !user.result || !user.answers) {
+    return jsonResponse({ error: '报告不存在', code: 'RESULT_NOT_FOUND' }, corsHeaders, 404);
+  }
+
+  const result = parseStoredResult(user);
+  return jsonResponse({
+    success: true,
+    data: {
+      token: user.token,
+      completedAt: user.completed_at,
+      result,
+      ...buildReportDetails(result.scale, JSON.parse(user.answers), result),
+    },
+  }, corsHeaders);
+}
+
+/**
+ * API: 历史报告
+ * GET /api/history/:token?deviceId=&tokens=
+ *
+ * 返回同一量表的已完成报告（按完成时间排序），current 标记当前链接的报告。
+ * 只合并请求方同时持有的链接（tokens，逗号分隔，由前端保存在本机），且这些链接须绑定同一设备：
+ * 设备标识只用于校验，不作为查询条件，持有其他人的设备标识也看不到对方的报告。
+ * SCL-90 同时返回总分与各因子均分的可靠变化阈值，用于提示两次测评间的变化是否显著。
+ */
+async function getHistory(token, url, env, corsHeaders) {
+  const user = await env.DB.prepare('SELECT scale, device_id, campaign_id FROM users WHERE token = ?').bind(token).first();
+  if (!user) {
+    return accessErrorResponse('INVALID_TOKEN', corsHeaders);
+  }
+
+  // 只有绑定的设备可以查看该设备上的全部历史
+  if (!user.device_id || user.device_id !== url.searchParams.get('deviceId')) {
+    return accessErrorResponse('DEVICE_MISMATCH', corsHeaders);
+  }
+
+  // 团体筛查常在共用设备（如学校机房）上进行，批次链接不与其他报告合并
+  const scale = getScale(user.scale);
+  const tokens = user.campaign_id ? [] : parseHistoryTokens(url.searchParams.get('tokens'), token);
+  const placeholders = tokens.map(() => '?').join(', ');
+  const { results } = user.campaign_id
+    ? await env.DB.prepare(
+      `SELECT token, scale, result, answers, completed_at FROM users
+       WHERE token = ? AND status = 'completed' AND result IS NOT NULL`
+    ).bind(token).all()
+    : await env.DB.prepare(
+      `SELECT token, scale, result, answers, completed_at FROM users
+       WHERE token IN (${placeholders}) AND device_id = ? AND scale = ? AND campaign_id IS NULL
+         AND status = 'completed' AND result IS NOT NULL
+       ORDER BY completed_at`
+    ).bind(...tokens, user.device_id, scale.id).all();
+
+  const entries = results.map(row => ({
+    current: row.token === token,
+    completedAt: row.completed_at,
+    result: parseStoredResult(row),
+  }));
+
+  // 按最近一次报告的常模分组计算变化阈值
+  const latest = entries[entries.length - 1];
+  const changeThresholds = scale.scoring.method === 'scl90' && latest
+    ? getChangeThresholds(latest.result.norms.group)
+    : null;
+
+  return jsonResponse({ success: true, data: { scale: scale.id, entries, changeThresholds } }, corsHeaders);
+}
+
+// 历史记录最多合并的链接数
+const MAX_HISTORY_TOKENS = 50;
+
+/**
+ * 整理历史记录请求中的链接列表：去重、去掉格式不符的 token，并始终包含当前链接
+ * @param {string|null} param - 逗号分隔的 token
+ * @param {string} token - 当前链接
+ * @returns {Array<string>} 最多 MAX_HISTORY_TOKENS 个
+ */
+function parseHistoryTokens(param, token) {
+  const tokens = (param || '').split(',').map(t => t.trim()).filter(t => /^[0-9a-f]{32}$/.test(t));
+  return [...new Set([token, ...tokens])].slice(0, MAX_HISTORY_TOKENS);
+}
+
+/**
+ * API: 获取量表定义
+ * GET /api/questions?scale=&version=&locale=
+ *
+ * 返回题目、选项、计分与等级规则，未指定 scale 时返回 SCL-90，未指定 version 时返回当前版本。
+ * 题目与选项文字按 locale 翻译，返回的 locale 为实际使用的语言（没有该语言的译文时为简体中文）。
+ * 响应带 ETag（量表 ID、版本、语言与内容摘要），客户端每次使用前向服务器确认（no-cache），
+ * 内容未变时 If-None-Match 命中返回 304。
+ */
+async function getQuestions(request, url, corsHeaders) {
+  const version = url.searchParams.get('version');
+  const definition = getScale(url.searchParams.get('scale'), version ? Number(version) : undefined);
+  if (!definition) {
+    return jsonResponse({ error: '量表或版本不存在', code: 'UNKNOWN_SCALE' }, corsHeaders, 404);
+  }
+  const scale = localizeScale(definition, url.searchParams.get('locale'));
+
+  const body = JSON.stringify({ success: true, data: scale });
+  const etag = `"${scale.id}-v${scale.version}-${scale.locale}-${(await sha256(body)).slice(0, 16)}"`;
+  const headers = { ...corsHeaders, 'ETag': etag, 'Cache-Control': 'no-cache' };
+
+  const ifNoneMatch = request.headers.get('If-None-Match') || '';
+  if (ifNoneMatch.split(',').some(tag => tag.trim().replace(/^W\//, '') === etag)) {
+    return new Response(null, { status: 304, headers });
+  }
+
+  return new Response(body, { headers: { ...headers, 'Content-Type': 'application/json' } });
 }
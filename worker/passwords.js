@@ -0,0 +1,69 @@
+/**
+ * 管理员密码的加盐哈希（PBKDF2-SHA256，Web Crypto，Worker 与 Node 均可使用）
+ *
+ * admins.password 保存为 pbkdf2-sha256$<迭代次数>$<盐>$<哈希>，盐为 16 字节随机数，盐与哈希均为十六进制。
+ * Workers 的 PBKDF2 最多支持 100000 次迭代。
+ *
+ * 兼容旧数据：最早的版本保存明文密码，其后一版保存无盐 SHA-256 十六进制。
+ * 旧格式的记录仍可登录，verifyPassword 返回 needsUpgrade，由调用方改写为 PBKDF2 格式（见 worker/admin.js）。
+ */
+
+import { sha256 } from './http.js';
+
+const SCHEME = 'pbkdf2-sha256';
+export const PASSWORD_ITERATIONS = 100000;
+const SALT_BYTES = 16;
+const HASH_BITS = 256;
+
+const toHex = bytes => Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+const fromHex = hex => new Uint8Array(hex.match(/../g).map(byte => parseInt(byte, 16)));
+
+async function derive(password, salt, iterations) {
+  const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, key, HASH_BITS);
+  return toHex(new Uint8Array(bits));
+}
+
+// 长度相同的字符串逐字符比较全部字符，比较耗时与首个不同字符的位置无关
+function safeEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+/**
+ * 计算保存到 admins.password 的密码哈希
+ * @param {string} password
+ * @returns {Promise<string>} pbkdf2-sha256$<迭代次数>$<盐>$<哈希>
+ */
+export async function hashPassword(password) {
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+  return [SCHEME, PASSWORD_ITERATIONS, toHex(salt), await derive(password, salt, PASSWORD_ITERATIONS)].join('$');
+}
+
+/**
+ * 校验密码与 admins.password 中保存的值是否一致
+ * @param {string} password
+ * @param {string} stored - PBKDF2 格式，或旧版本的 SHA-256 十六进制 / 明文
+ * @returns {Promise<Object>} { valid, needsUpgrade }：needsUpgrade 为 true 时应以 hashPassword 重新保存
+ */
+export async function verifyPassword(password, stored) {
+  const parts = stored.split('$');
+  if (parts[0] === SCHEME) {
+    const [, iterations, salt, hash] = parts;
+    if (parts.length !== 4 || !/^\d+$/.test(iterations) || !/^([0-9a-f]{2})+$/.test(salt)) {
+      return { valid: false, needsUpgrade: false };
+    }
+    const valid = safeEqual(await derive(password, fromHex(salt), Number(iterations)), hash);
+    return { valid, needsUpgrade: valid && Number(iterations) !== PASSWORD_ITERATIONS };
+  }
+
+  // 旧格式：64 位十六进制视为 SHA-256（不接受直接提交哈希值），其余视为明文
+  const valid = /^[0-9a-f]{64}$/.test(stored)
+    ? safeEqual(await sha256(password), stored)
+    : safeEqual(password, stored);
+  return { valid, needsUpgrade: valid };
+}
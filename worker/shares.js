@@ -0,0 +1,196 @@
+/**
+ * SCI-90 测试系统 - 报告分享 API
+ *
+ * 分享链接中的报告在浏览器中加密后放在链接的 # 片段里（见 utils/share.js），不会发送到服务器；
+ * 服务器只登记分享 ID 与过期时间（shares 表），打开分享链接时先校验分享是否仍然有效。
+ * 持有原测试链接即可查看报告，因此创建与撤销分享同样以 token 为凭证。
+ *
+ * API 端点：
+ * - POST /api/shares              - 为已完成的报告创建分享 ID { token, expiresInDays }
+ * - GET  /api/shares?token=       - 该报告的分享记录
+ * - GET  /api/shares/:id          - 分享状态（打开分享链接时校验）
+ * - POST /api/shares/:id/revoke   - 撤销分享 { token }
+ */
+
+import { jsonResponse, readJson } from './http.js';
+
+// 可选的有效期（天）
+const SHARE_EXPIRY_DAYS = [1, 7, 30];
+const DEFAULT_EXPIRY_DAYS = 7;
+
+// 每份报告同时有效的分享数上限
+const MAX_ACTIVE_SHARES = 20;
+
+// 分享记录的状态：已撤销（含原链接被作废） / 已过期 / 有效
+const SHARE_STATUS_SQL = `CASE
+  WHEN s.revoked_at IS NOT NULL OR u.status != 'completed' THEN 'revoked'
+  WHEN s.expires_at <= CURRENT_TIMESTAMP THEN 'expired'
+  ELSE 'active' END`;
+
+// 分享不可用时的错误码
+const shareErrors = {
+  SHARE_NOT_FOUND: { status: 404, error: '分享链接无效' },
+  SHARE_REVOKED: { status: 410, error: '分享链接已撤销' },
+  SHARE_EXPIRED: { status: 410, error: '分享链接已过期' },
+};
+
+function shareErrorResponse(code, corsHeaders) {
+  const { status, error } = shareErrors[code];
+  return jsonResponse({ error, code }, corsHeaders, status);
+}
+
+/**
+ * 报告分享路由分发
+ * @param {Request} request
+ * @param {Object} env - Worker 环境（含 DB）
+ * @param {URL} url
+ * @param {Object} corsHeaders
+ * @returns {Promise<Response>}
+ */
+export async function handleShares(request, env, url, corsHeaders) {
+  const path = url.pathname;
+  const method = request.method;
+
+  if (path === '/api/shares') {
+    if (method === 'POST') {
+      return await createShare(request, env, corsHeaders);
+    }
+    if (method === 'GET') {
+      return await listOwnShares(url, env, corsHeaders);
+    }
+  }
+
+  const match = path.match(/^\/api\/shares\/([0-9a-f]+)(?:\/(revoke))?$/);
+  if (match) {
+    const [, id, action] = match;
+
+    if (!action && method === 'GET') {
+      return await getShareStatus(id, env, corsHeaders);
+    }
+
+    if (action === 'revoke' && method === 'POST') {
+      const { token } = await readJson(request);
+      return await revokeShare(id, String(token || ''), env, corsHeaders);
+    }
+  }
+
+  return jsonResponse({ error: 'Not found' }, corsHeaders, 404);
+}
+
+/**
+ * 生成分享 ID（16 位十六进制）
+ * @returns {string}
+ */
+function generateShareId() {
+  const bytes = crypto.getRandomValues(new Uint8Array(8));
+  return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * 查询链接的分享记录（新建的在前）
+ * @param {Object} env - Worker 环境（含 DB）
+ * @param {string} token - 链接 token
+ * @returns {Promise<Array>} [{ id, created_at, expires_at, revoked_at, status }]
+ */
+export async function listShares(env, token) {
+  const { results } = await env.DB.prepare(
+    `SELECT s.id, s.created_at, s.expires_at, s.revoked_at, ${SHARE_STATUS_SQL} AS status
+     FROM shares s JOIN users u ON u.token = s.token
+     WHERE s.token = ?
+     ORDER BY s.created_at DESC, s.rowid DESC`
+  ).bind(token).all();
+  return results;
+}
+
+/**
+ * API: 创建分享
+ * POST /api/shares  { token, expiresInDays }
+ *
+ * 只登记分享 ID 与过期时间；客户端用返回的 ID 加密报告并生成链接。
+ */
+async function createShare(request, env, corsHeaders) {
+  const { token, expiresInDays = DEFAULT_EXPIRY_DAYS } = await readJson(request);
+  if (!SHARE_EXPIRY_DAYS.includes(expiresInDays)) {
+    return jsonResponse({ error: `有效期只能为 ${SHARE_EXPIRY_DAYS.join(' / ')} 天`, code: 'BAD_REQUEST' }, corsHeaders, 400);
+  }
+
+  const user = token && await env.DB.prepare(
+    `SELECT u.token, (SELECT COUNT(*) FROM shares s
+                      WHERE s.token = u.token AND s.revoked_at IS NULL AND s.expires_at > CURRENT_TIMESTAMP) AS active
+     FROM users u WHERE u.token = ? AND u.status = 'completed'`
+  ).bind(token).first();
+  if (!user) {
+    return jsonResponse({ error: '报告不存在', code: 'RESULT_NOT_FOUND' }, corsHeaders, 404);
+  }
+  if (user.active >= MAX_ACTIVE_SHARES) {
+    return jsonResponse({ error: `同时有效的分享链接不能超过 ${MAX_ACTIVE_SHARES} 条，请先撤销不再需要的链接`, code: 'TOO_MANY_SHARES' }, corsHeaders, 409);
+  }
+
+  const id = generateShareId();
+  const share = await env.DB.prepare(
+    `INSERT INTO shares (id, token, expires_at) VALUES (?, ?, datetime('now', ?))
+     RETURNING id, created_at, expires_at`
+  ).bind(id, token, `+${expiresInDays} days`).first();
+
+  return jsonResponse({ success: true, data: { ...share, status: 'active' } }, corsHeaders);
+}
+
+/**
+ * API: 报告的分享记录
+ * GET /api/shares?token=
+ */
+async function listOwnShares(url, env, corsHeaders) {
+  const token = url.searchParams.get('token');
+  const user = token && await env.DB.prepare("SELECT token FROM users WHERE token = ? AND status = 'completed'")
+    .bind(token)
+    .first();
+  if (!user) {
+    return jsonResponse({ error: '报告不存在', code: 'RESULT_NOT_FOUND' }, corsHeaders, 404);
+  }
+
+  return jsonResponse({ success: true, data: await listShares(env, token) }, corsHeaders);
+}
+
+/**
+ * API: 分享状态
+ * GET /api/shares/:id
+ *
+ * 有效时返回过期时间；已撤销、已过期或原链接被作废时返回对应错误码，前端据此不再解密展示。
+ */
+async function getShareStatus(id, env, corsHeaders) {
+  const share = await env.DB.prepare(
+    `SELECT s.expires_at, ${SHARE_STATUS_SQL} AS status
+     FROM shares s JOIN users u ON u.token = s.token
+     WHERE s.id = ?`
+  ).bind(id).first();
+
+  if (!share) {
+    return shareErrorResponse('SHARE_NOT_FOUND', corsHeaders);
+  }
+  if (share.status === 'revoked') {
+    return shareErrorResponse('SHARE_REVOKED', corsHeaders);
+  }
+  if (share.status === 'expired') {
+    return shareErrorResponse('SHARE_EXPIRED', corsHeaders);
+  }
+
+  return jsonResponse({ success: true, data: { expires_at: share.expires_at } }, corsHeaders);
+}
+
+/**
+ * 撤销分享
+ * POST /api/shares/:id/revoke  { token }
+ * 管理后台撤销时不校验 token（见 admin.js）
+ * @param {string} id - 分享 ID
+ * @param {string|null} token - 所属链接 token，为 null 时不校验归属
+ */
+export async function revokeShare(id, token, env, corsHeaders) {
+  const { meta } = await env.DB.prepare(
+    'UPDATE shares SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND (? IS NULL OR token = ?) AND revoked_at IS NULL'
+  ).bind(id, token ?? null, token ?? null).run();
+  if (!meta.changes) {
+    return shareErrorResponse('SHARE_NOT_FOUND', corsHeaders);
+  }
+
+  return jsonResponse({ success: true }, corsHeaders);
+}